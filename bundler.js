@@ -4,73 +4,161 @@ const path = require('path');
 const fs = require('fs');
 const { buildDependencyGraph, identifyChunks } = require('./src/dependency-graph');
 const { generateBundles } = require('./src/code-generator');
+const { createHooks, applyPlugin } = require('./src/hooks');
+const { ConfigError, loadConfig, normalizeConfig, parseEnvArgs } = require('./src/config');
 
 // --- Parse CLI arguments ---
+// Flags override the matching values of the config file.
+const USAGE = [
+  'Usage: node bundler.js [--config <file>] [--entry <path>] [--output <dir>]',
+  '                       [--mode development|production|none] [--env <key[=value]>]...',
+  '                       [--plugin <path>]...',
+  'Example: node bundler.js --entry ./example/src/index.js --output ./example/dist',
+  '',
+  'Without --config, bundler.config.js in the current directory is used if it exists.',
+].join('\n');
+
 const args = process.argv.slice(2);
-let entryArg = null;
-let outputArg = null;
+const cli = { config: null, entry: null, output: null, mode: null, env: [], plugins: [] };
+const flags = {
+  '--config': (value) => { cli.config = value; },
+  '--entry': (value) => { cli.entry = value; },
+  '--output': (value) => { cli.output = value; },
+  '--mode': (value) => { cli.mode = value; },
+  '--env': (value) => { cli.env.push(value); },
+  '--plugin': (value) => { cli.plugins.push(value); },
+};
 
 for (let i = 0; i < args.length; i++) {
-  if (args[i] === '--entry' && args[i + 1]) {
-    entryArg = args[++i];
-  } else if (args[i] === '--output' && args[i + 1]) {
-    outputArg = args[++i];
+  if (args[i] === '--help') {
+    console.log(USAGE);
+    process.exit(0);
   }
-}
-
-if (!entryArg || !outputArg) {
-  console.error('Usage: node bundler.js --entry <path> --output <dir>');
-  console.error('Example: node bundler.js --entry ./example/src/index.js --output ./example/dist');
-  process.exit(1);
+  if (!flags[args[i]] || args[i + 1] === undefined) {
+    console.error(`Unknown or incomplete argument: ${args[i]}\n`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+  flags[args[i]](args[++i]);
 }
 
 const projectRoot = process.cwd();
-const entryPath = path.resolve(projectRoot, entryArg);
-const outputDir = path.resolve(projectRoot, outputArg);
-
-if (!fs.existsSync(entryPath)) {
-  console.error(`Entry file not found: ${entryPath}`);
-  process.exit(1);
-}
 
 // --- Run the bundler pipeline ---
-console.log(`\nBundling from: ${path.relative(projectRoot, entryPath)}`);
-console.log(`Output dir:   ${path.relative(projectRoot, outputDir)}\n`);
-
-// Step 1: Build dependency graph
-console.log('1. Building dependency graph...');
-const graph = buildDependencyGraph(entryPath);
-console.log(`   Found ${graph.size} modules`);
-
-// Step 2: Identify chunks
-console.log('2. Identifying chunks...');
-const chunkInfo = identifyChunks(graph, entryPath, projectRoot);
-console.log(`   Main chunk: ${chunkInfo.mainChunk.moduleIds.size} modules`);
-console.log(`   Lazy chunks: ${chunkInfo.lazyChunks.size}`);
-for (const [chunkId, chunk] of chunkInfo.lazyChunks) {
-  console.log(`     - ${chunkId} (${chunk.moduleIds.size} modules)`);
-}
-if (Object.keys(chunkInfo.chunkGroupMap).length > 0) {
-  console.log('   ChunkGroups:');
-  for (const [chunkId, needed] of Object.entries(chunkInfo.chunkGroupMap)) {
-    console.log(`     - ${chunkId} needs: [${needed.join(', ')}]`);
+async function main() {
+  // Load the config file (webpack passes --env values and the parsed
+  // argv to a config that exports a function)
+  const env = parseEnvArgs(cli.env);
+  const config = await loadConfig(cli.config, env, { mode: cli.mode, env });
+  const options = normalizeConfig(config, {
+    entry: cli.entry,
+    output: cli.output,
+    mode: cli.mode,
+    plugins: cli.plugins.map(plugin => require(path.resolve(projectRoot, plugin))),
+  }, projectRoot);
+  const { entries, outputDir } = options;
+
+  for (const entryPath of Object.values(entries)) {
+    if (!fs.existsSync(entryPath)) {
+      throw new Error(`Entry file not found: ${entryPath}`);
+    }
   }
-}
 
-// Step 3: Generate bundle output
-console.log('3. Generating bundles...');
-const bundles = generateBundles(chunkInfo, projectRoot);
+  const entryList = Object.entries(entries)
+    .map(([name, entryPath]) => (name === 'main' ? '' : `${name}: `) + path.relative(projectRoot, entryPath))
+    .join(', ');
+  console.log(`\nBundling from: ${entryList} (${options.mode} mode)`);
+  console.log(`Output dir:   ${path.relative(projectRoot, outputDir)}\n`);
 
-// Step 4: Write output files
-console.log('4. Writing output files...');
-if (!fs.existsSync(outputDir)) {
-  fs.mkdirSync(outputDir, { recursive: true });
-}
+  // Non-fatal problems found along the way, reported at the end
+  const warnings = [];
+
+  // Plugins tap into the hooks of this build (webpack: the Compiler object)
+  const compiler = { hooks: createHooks(), projectRoot, options, warnings };
+  for (const plugin of options.plugins) {
+    applyPlugin(plugin, compiler);
+  }
+  const { hooks } = compiler;
+
+  // Step 1: Build dependency graph
+  console.log('1. Building dependency graph...');
+  const graph = await buildDependencyGraph(Object.values(entries), {
+    resolve: options.resolve,
+    rules: options.rules,
+    assets: options.assets,
+    warnings,
+    hooks,
+  });
+  console.log(`   Found ${graph.size} modules`);
 
-for (const bundle of bundles) {
-  const outputPath = path.join(outputDir, bundle.filename);
-  fs.writeFileSync(outputPath, bundle.content, 'utf-8');
-  console.log(`   ${bundle.filename} (${bundle.content.length} bytes)`);
+  // Step 2: Identify chunks
+  console.log('2. Identifying chunks...');
+  const chunkInfo = hooks.optimizeChunks.call(identifyChunks(graph, entries, projectRoot, {
+    splitChunks: options.splitChunks,
+    runtimeChunk: options.runtimeChunk,
+  }));
+  for (const [name, chunk] of chunkInfo.entryChunks) {
+    const waitsFor = chunk.dependsOn && chunk.dependsOn.length > 0 ? ` (waits for: ${chunk.dependsOn.join(', ')})` : '';
+    console.log(`   Entry chunk ${name}: ${chunk.moduleIds.size} modules${waitsFor}`);
+  }
+  if (chunkInfo.runtimeChunk) {
+    console.log(`   Runtime chunk: ${chunkInfo.runtimeChunk.id}`);
+  }
+  console.log(`   Lazy chunks: ${chunkInfo.lazyChunks.size}`);
+  for (const [chunkId, chunk] of chunkInfo.lazyChunks) {
+    console.log(`     - ${chunkId} (${chunk.moduleIds.size} modules)`);
+  }
+  if (Object.keys(chunkInfo.chunkGroupMap).length > 0) {
+    console.log('   ChunkGroups:');
+    for (const [chunkId, needed] of Object.entries(chunkInfo.chunkGroupMap)) {
+      console.log(`     - ${chunkId} needs: [${needed.join(', ')}]`);
+    }
+  }
+
+  // Step 3: Generate bundle output
+  console.log('3. Generating bundles...');
+  const bundles = await hooks.emit.promise(generateBundles(chunkInfo, projectRoot, {
+    filename: options.filename,
+    chunkFilename: options.chunkFilename,
+    publicPath: options.publicPath,
+    ids: options.ids,
+    minimize: options.minimize,
+    devtool: options.devtool,
+    importMetaEnv: options.importMetaEnv,
+    warnings,
+    hooks,
+  }));
+
+  // Step 4: Write output files
+  console.log('4. Writing output files...');
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  for (const bundle of bundles) {
+    const outputPath = path.join(outputDir, bundle.filename);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, bundle.content, 'utf-8');
+    console.log(`   ${bundle.filename} (${bundle.content.length} bytes)`);
+  }
+
+  if (warnings.length > 0) {
+    console.warn(`\n${warnings.length} warning(s):`);
+    for (const warning of warnings) {
+      console.warn(`   ${warning}`);
+    }
+  }
+
+  await hooks.done.promise(bundles);
+
+  console.log('\nDone!\n');
 }
 
-console.log('\nDone!\n');
+main().catch(err => {
+  if (err instanceof ConfigError) {
+    console.error(`${err.message}\n\n${USAGE}`);
+  } else {
+    console.error(err);
+  }
+  process.exit(1);
+});
@@ -1,5 +1,5 @@
 // ================================================================
-// MAIN BUNDLE (Entry Chunk)
+// MAIN BUNDLE (Entry Chunk "main")
 // ================================================================
 // This is the entry chunk. It contains:
 //   1. The Module Registry — factory functions for all statically-imported modules
@@ -43,13 +43,13 @@ var moduleRegistry = {
 
     // Dynamic imports — these create lazy chunks loaded on demand
     document.getElementById("btn-a").addEventListener("click", () => {
-      loadChunk("example_src_feature-a_js").then(loadModule.bind(loadModule, "./example/src/feature-a.js")).then(mod => {
+      loadModule.loadChunk("example_src_feature-a_js").then(loadModule.bind(loadModule, "./example/src/feature-a.js")).then(mod => {
         mod.runFeatureA();
       });
     });
 
     document.getElementById("btn-b").addEventListener("click", () => {
-      loadChunk("example_src_feature-b_js").then(loadModule.bind(loadModule, "./example/src/feature-b.js")).then(mod => {
+      loadModule.loadChunk("example_src_feature-b_js").then(loadModule.bind(loadModule, "./example/src/feature-b.js")).then(mod => {
         mod.runFeatureB();
       });
     });
@@ -61,18 +61,15 @@ var moduleRegistry = {
 
     loadModule.defineExports(exports, {
         "add": () => add,
-        "subtract": () => subtract,
         "PI": () => PI
     });
 
+    /* unused export subtract */
+
     function add(a, b) {
       return a + b;
     }
 
-    function subtract(a, b) {
-      return a - b;
-    }
-
     const PI = 3.14159;
   },
 
@@ -181,7 +178,7 @@ loadModule.hasOwnProp = function(obj, prop) {
 var chunkStatus = {};
 
 // Map chunk ID to filename (webpack: __webpack_require__.u)
-// In a real bundler this might have content hashes. We keep it simple.
+// Built from the output.chunkFilename template ([id].js).
 function getChunkFileName(chunkId) {
   return chunkId + ".js";
 }
@@ -241,6 +238,10 @@ function loadChunk(chunkId) {
   return Promise.all(promises);
 }
 
+// Module factories call it as loadModule.loadChunk(), which also works
+// from modules in other chunk files
+loadModule.loadChunk = loadChunk;
+
 // DOM <script> injection (webpack: __webpack_require__.l)
 // Creates a script element and appends it to the document head.
 // The loaded script will call the JSONP callback (below), which
@@ -18,10 +18,11 @@
       loadModule.markAsESModule(exports);
 
       loadModule.defineExports(exports, {
-          "formatResult": () => formatResult,
           "logResult": () => logResult
       });
 
+      /* unused export formatResult */
+
       function formatResult(label, value) {
         return `[${label}]: ${value}`;
       }
@@ -0,0 +1,5 @@
+export function fn() { return 'function'; }
+export function* gen() { yield 'generator'; }
+export async function asyncFn() { return 'async function'; }
+export class Cls { static kind = 'class'; }
+export let first = 1, second = 2;
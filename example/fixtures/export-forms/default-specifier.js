@@ -0,0 +1,3 @@
+const foo = 'export { foo as default }';
+
+export { foo as default };
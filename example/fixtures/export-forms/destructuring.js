@@ -0,0 +1,5 @@
+const obj = { a: 1, nested: { b: 2 } };
+const arr = [3, 4, 5];
+
+export const { a, nested: { b }, missing = 'default value' } = obj;
+export const [x, ...rest] = arr;
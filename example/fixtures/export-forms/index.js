@@ -0,0 +1,17 @@
+// One import per export form (output checked against expected.txt by npm test)
+import { fn, gen, asyncFn, Cls, first, second } from './declarations.js';
+import { a, b, missing, x, rest } from './destructuring.js';
+import defaultSpecifier from './default-specifier.js';
+import defaultExpression from './default-expression.js';
+import AnonymousClass from './anonymous-class.js';
+import anonymousFunction from './anonymous-function.js';
+import { "my-name" as stringName } from './string-names.js';
+import * as reexports from './reexports.js';
+
+console.log(fn(), gen().next().value, Cls.kind, first, second);
+asyncFn().then(result => console.log(result));
+console.log(a, b, missing, x, rest);
+console.log(defaultSpecifier, defaultExpression);
+console.log(new AnonymousClass().hello(), anonymousFunction());
+console.log(stringName);
+console.log(reexports.fn(), reexports.destructured.a, new reexports.AnonymousClass().hello(), reexports.myName);
@@ -0,0 +1,4 @@
+export * from './declarations.js';
+export * as destructured from './destructuring.js';
+export { default as AnonymousClass } from './anonymous-class.js';
+export { "my-name" as myName } from './string-names.js';
@@ -0,0 +1,3 @@
+const value = 'string export name';
+
+export { value as "my-name" };
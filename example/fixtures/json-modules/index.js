@@ -0,0 +1,7 @@
+// A "default" key is not a named export: the default import is still the
+// whole object, and importing other keys by name doesn't keep it
+import config from './config.json';
+import { theme } from './settings.json';
+
+console.log(config);
+console.log(theme);
@@ -0,0 +1,11 @@
+// Both plugins are already in the main chunk (one imported statically, one
+// through an eager glob), so the lazy glob needs no chunks of its own
+import { name as first } from './plugins/a.js';
+
+const eager = import.meta.glob('./plugins/b.js', { eager: true });
+const lazy = import.meta.glob('./plugins/*.js');
+
+console.log(first, eager['./plugins/b.js'].name);
+for (const [file, load] of Object.entries(lazy)) {
+  load().then(plugin => console.log(file, plugin.name));
+}
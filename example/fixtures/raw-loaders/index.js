@@ -0,0 +1,7 @@
+// Binary files go through a raw loader (it gets and returns a Buffer) and
+// must come out byte for byte
+import pixel from './pixel.png';
+import font from './font.woff2';
+
+console.log(pixel);
+console.log(font);
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Bundle every fixture and check what it prints.
+ *
+ * Each directory in example/fixtures/ is a small project: index.js is the
+ * entry, expected.txt the console output it must produce, and an optional
+ * bundler.config.js adds options. Every fixture is
+ * bundled in development and in production mode, and both bundles must
+ * print exactly expected.txt.
+ *
+ * Usage: node example/fixtures/run.js [fixture-name]...
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const vm = require('vm');
+const util = require('util');
+const { execFileSync } = require('child_process');
+
+const FIXTURES_DIR = __dirname;
+const BUNDLER = path.join(__dirname, '..', '..', 'bundler.js');
+const MODES = ['development', 'production'];
+
+async function main() {
+  const requested = process.argv.slice(2);
+  const fixtures = fs.readdirSync(FIXTURES_DIR)
+    .filter(name => fs.existsSync(path.join(FIXTURES_DIR, name, 'index.js')))
+    .filter(name => requested.length === 0 || requested.includes(name));
+
+  let failures = 0;
+  for (const name of fixtures) {
+    const expected = fs.readFileSync(path.join(FIXTURES_DIR, name, 'expected.txt'), 'utf-8');
+    for (const mode of MODES) {
+      const actual = await runFixture(name, mode);
+      if (actual === expected) {
+        console.log(`ok    ${name} (${mode})`);
+      } else {
+        failures++;
+        console.log(`FAIL  ${name} (${mode})`);
+        console.log(indent(`expected:\n${indent(expected)}\nactual:\n${indent(actual)}`));
+      }
+    }
+  }
+
+  console.log(`\n${fixtures.length * MODES.length - failures} passed, ${failures} failed`);
+  process.exitCode = failures > 0 ? 1 : 0;
+}
+
+/**
+ * Bundle a fixture into a temporary directory, run main.js and return what
+ * it printed (build errors and uncaught errors included).
+ */
+async function runFixture(name, mode) {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), `fixture-${name}-`));
+  const configFile = path.join(FIXTURES_DIR, name, 'bundler.config.js');
+  try {
+    execFileSync(process.execPath, [
+      BUNDLER,
+      ...(fs.existsSync(configFile) ? ['--config', configFile] : []),
+      '--entry', path.join(FIXTURES_DIR, name, 'index.js'),
+      '--output', outputDir,
+      '--mode', mode,
+    ], { stdio: 'pipe' });
+  } catch (err) {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    return `build failed:\n${err.stderr}`;
+  }
+
+  const output = [];
+  const print = (...args) => output.push(util.format(...args));
+  const context = vm.createContext({
+    console: { log: print, warn: print, error: print },
+    setTimeout,
+    // Just enough DOM for the chunk loading runtime: an appended <script>
+    // runs its file from the output directory, a <link> just loads
+    document: {
+      baseURI: 'http://localhost/',
+      createElement: () => ({}),
+      head: {
+        appendChild(element) {
+          setTimeout(() => {
+            try {
+              if (element.src) vm.runInContext(fs.readFileSync(path.join(outputDir, element.src), 'utf-8'), context);
+              if (element.onload) element.onload();
+            } catch (err) {
+              print(`uncaught ${err.name}`);
+            }
+          });
+        },
+      },
+    },
+  });
+  context.self = context;
+
+  try {
+    vm.runInContext(fs.readFileSync(path.join(outputDir, 'main.js'), 'utf-8'), context);
+    // Let promise callbacks (async functions, top-level await) finish
+    await new Promise(resolve => setTimeout(resolve, 50));
+  } catch (err) {
+    // Only the error's name: its message may mention minified names
+    print(`uncaught ${err.name}`);
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+  return output.map(line => `${line}\n`).join('');
+}
+
+function indent(text) {
+  return text.replace(/^/gm, '  ');
+}
+
+main();
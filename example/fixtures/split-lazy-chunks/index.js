@@ -0,0 +1,4 @@
+// Two chunk names for one module: the module moves into a split chunk that
+// both share, and the named chunks, left without modules, aren't emitted
+import(/* webpackChunkName: "first" */ './settings.js').then(m => console.log('first', m.theme));
+import(/* webpackChunkName: "second" */ './settings.js').then(m => console.log('second', m.theme));
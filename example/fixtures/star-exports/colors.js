@@ -0,0 +1,2 @@
+export const red = '#f00';
+export const shared = 'colors';
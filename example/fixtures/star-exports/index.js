@@ -0,0 +1,9 @@
+// `shared` comes from two star exports with different bindings, so it is
+// ambiguous and left out; `red` reaches local.js twice, but it is the same
+// binding both times
+import * as all from './local.js';
+import * as outer from './outer.js';
+
+console.log(Object.keys(all).sort().join(', '));
+console.log(all.red, all.small, all.shared);
+console.log(outer.shared);
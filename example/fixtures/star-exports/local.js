@@ -0,0 +1,3 @@
+export * from './colors.js';
+export * from './sizes.js';
+export const own = 'own';
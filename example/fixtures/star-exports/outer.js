@@ -0,0 +1,3 @@
+// local.js has no `shared` of its own, so other.js's is not ambiguous here
+export * from './local.js';
+export * from './other.js';
@@ -0,0 +1,3 @@
+export const small = 12;
+export const shared = 'sizes';
+export { red } from './colors.js';
@@ -0,0 +1,5 @@
+// `early` is unused, but reading `later` before its declaration throws —
+// removing the declaration would hide that
+import { used } from './tdz.js';
+
+console.log(used);
@@ -0,0 +1,4 @@
+console.log('before');
+export const early = later;
+export const used = 'used';
+let later = 1;
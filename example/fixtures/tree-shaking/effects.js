@@ -0,0 +1,14 @@
+const loud = {
+  toString() { console.log('toString called'); return 'loud'; },
+  valueOf() { console.log('valueOf called'); return 1; },
+};
+const label = 'quiet';
+
+export const used = 'used';
+// Each of these converts `loud` to a primitive, which calls into it
+export const greeting = `hello ${loud}`;
+export const sum = loud + 1;
+export const negated = -loud;
+// These can't have effects, so they are removed
+export const description = `${label}: ${1 + 2}`;
+export const read = () => loud;
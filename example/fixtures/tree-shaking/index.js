@@ -0,0 +1,5 @@
+// Only `used` is imported: the other exports of effects.js lose their
+// getters, but declarations whose evaluation has effects must stay
+import { used } from './effects.js';
+
+console.log(used);
@@ -1,47 +1,215 @@
-const { transformModule } = require('./transformer');
+const crypto = require('crypto');
+const path = require('path');
+const { transformModule, transformModuleWithMap, transformCssModule } = require('./transformer');
+const { toModuleId } = require('./dependency-graph');
+const { createHooks } = require('./hooks');
+const { createIds, NAMED_IDS } = require('./ids');
+const { toEvalSourceUrl, joinSourceMaps, remapMappings, toSourceMapJson, toDataUrl } = require('./source-map');
+const { minify } = require('./minifier');
+
+// Short names of the runtime helpers in minified output — webpack's
+// letters where it has the same helper (see the name mapping in README.md)
+const SHORT_HELPER_NAMES = {
+  markAsESModule: 'r',
+  defineExports: 'd',
+  hasOwnProp: 'o',
+  exportStar: 'x',
+  getDefaultExport: 'n',
+  createNamespaceObject: 't',
+  asyncModule: 'a',
+  loadAsyncModule: 'A',
+  waitForAsyncModules: 'w',
+  loadContextModule: 'c',
+  onChunksLoaded: 'O',
+  loadChunk: 'e',
+};
 
 /**
  * Generate all output bundle files.
  *
- * Returns an array of { filename, content } objects.
+ * options are passed through to transformModule() (publicPath,
+ * importMetaEnv, warnings). options.ids picks the module and chunk IDs of
+ * the output: "named" (default), "deterministic" or "numeric" (see
+ * createIds). options.filename and options.chunkFilename are the output
+ * file name templates of the entry (and runtime) chunks and of the lazy
+ * chunks: [name] stands for the chunk name, [id] for its output ID, and
+ * [contenthash] (or [contenthash:8] for the first 8 characters) for a hash
+ * of the file's content. A chunk's stylesheet is named like its script,
+ * with .css in place of .js and the stylesheet's own content hash.
+ * options.hooks (see createHooks) can rewrite each module's factory body
+ * (renderModule) and the runtime section (runtime).
+ *
+ * options.devtool adds source maps (webpack: devtool):
+ *   "source-map"        — a <file>.map next to each JS file, linked from a
+ *                         //# sourceMappingURL comment
+ *   "inline-source-map" — the map inlined into that comment as a data: URL
+ *   "eval"              — each factory body runs through eval() with a
+ *                         //# sourceURL, so it shows up as its own file
+ *   "eval-source-map"   — eval, plus an inline map for each module
+ * A factory body changed by a renderModule plugin loses its map. The
+ * [contenthash] of a file is computed without the comment.
+ *
+ * options.minimize (webpack: optimization.minimize) minifies each JS file
+ * (see minify): no comments or whitespace, short local names and short
+ * runtime helper names (SHORT_HELPER_NAMES). With an eval devtool, the
+ * eval'd code isn't minified, so names are left as they are.
+ *
+ * Each entry chunk carries its own copy of the runtime, unless chunkInfo
+ * has a runtimeChunk: then the runtime is written once to that chunk and
+ * the entry chunks are installed through it like lazy chunks. An entry
+ * chunk with split chunks (chunk.dependsOn) starts once those have loaded.
+ *
+ * Returns an array of { filename, content } objects: the JS bundles, the
+ * extracted .css files, then the files of asset/resource modules (content
+ * is a Buffer).
  */
-function generateBundles(chunkInfo, projectRoot) {
-  const { mainChunk, lazyChunks, chunkGroupMap, modules, dynamicEntryPoints } = chunkInfo;
-  const hasLazyChunks = lazyChunks.size > 0;
+function generateBundles(chunkInfo, projectRoot, options = {}) {
+  options = {
+    filename: '[name].js',
+    chunkFilename: '[id].js',
+    ...options,
+    hooks: options.hooks || createHooks(),
+    // From here on, the mapping to output IDs rather than the mode
+    ids: createIds(chunkInfo, options.ids),
+  };
+  const { entryChunks, runtimeChunk, lazyChunks, modules } = chunkInfo;
+  const { getChunkId } = options.ids;
 
-  const output = [];
+  // ChunkGroups in output chunk IDs
+  const chunkGroupMap = {};
+  for (const [chunkId, needed] of Object.entries(chunkInfo.chunkGroupMap)) {
+    chunkGroupMap[getChunkId(chunkId)] = needed.map(getChunkId);
+  }
 
-  // --- Generate main bundle ---
-  output.push({
-    filename: 'main.js',
-    content: generateMainBundle(mainChunk, lazyChunks, chunkGroupMap, modules, projectRoot, hasLazyChunks),
-  });
+  // Extracted stylesheets: chunk ID → CSS text (webpack: mini-css-extract-plugin)
+  const cssChunks = new Map();
+  for (const chunk of [...entryChunks.values(), ...lazyChunks.values()]) {
+    const css = generateChunkCss(chunk, modules, projectRoot, options);
+    if (css) cssChunks.set(chunk.id, css);
+  }
 
-  // --- Generate lazy chunk bundles ---
+  // Which optional runtime sections the bundle needs
+  const runtime = {
+    hasLazyChunks: lazyChunks.size > 0,
+    hasCommonJS: [...modules.values()].some(info =>
+      info.moduleType === 'commonjs' || info.moduleType === 'asset'
+    ),
+    hasStarExports: [...modules.values()].some(info =>
+      info.reexports.some(reexport => reexport.star)
+    ),
+    hasAsyncModules: [...modules.values()].some(info => info.isAsync),
+    hasContextModules: [...modules.values()].some(info =>
+      info.dynamicImports.some(dyn => dyn.contextMatches)
+    ),
+    cssChunkIds: [...cssChunks.keys()].filter(chunkId => !entryChunks.has(chunkId)),
+    hasRuntimeChunk: Boolean(runtimeChunk),
+    hasDeferredStartup: [...entryChunks.values()].some(chunk => chunk.dependsOn && chunk.dependsOn.length > 0),
+  };
+
+  // Lazy chunks don't refer to other chunks' file names, so they are
+  // rendered and hashed first; the runtime then gets their hashes
+  const lazyOutput = [];
+  runtime.chunkHashes = {};
+  runtime.chunkNames = new Map([...lazyChunks.keys()].map(chunkId => [getChunkId(chunkId), chunkId]));
   for (const [chunkId, chunk] of lazyChunks) {
-    output.push({
-      filename: chunkId + '.js',
-      content: generateLazyChunk(chunkId, chunk, modules, projectRoot),
-    });
+    const rendered = generateLazyChunk(chunkId, chunk, modules, projectRoot, options);
+    const hash = getContentHash(rendered.content);
+    runtime.chunkHashes[getChunkId(chunkId)] = hash;
+    const filename = getChunkFilename(options.chunkFilename, chunkId, getChunkId(chunkId), hash);
+    lazyOutput.push(...withSourceMap(filename, rendered, options.devtool));
+  }
+
+  const cssOutput = [];
+  runtime.cssChunkHashes = {};
+  for (const [chunkId, css] of cssChunks) {
+    const hash = getContentHash(css);
+    if (!entryChunks.has(chunkId)) runtime.cssChunkHashes[getChunkId(chunkId)] = hash;
+    const template = entryChunks.has(chunkId) ? options.filename : options.chunkFilename;
+    cssOutput.push({ filename: getChunkFilename(toCssFilename(template), chunkId, getChunkId(chunkId), hash), content: css });
+  }
+
+  const output = [];
+
+  // --- Generate the runtime chunk and entry chunks ---
+  const pushInitialChunk = (chunkId, rendered) => {
+    const filename = getChunkFilename(options.filename, chunkId, getChunkId(chunkId), getContentHash(rendered.content));
+    output.push(...withSourceMap(filename, rendered, options.devtool));
+  };
+  if (runtimeChunk) {
+    pushInitialChunk(runtimeChunk.id, generateMainBundle(runtimeChunk, chunkGroupMap, modules, projectRoot, runtime, options));
+  }
+  for (const [chunkId, chunk] of entryChunks) {
+    pushInitialChunk(chunkId, runtimeChunk
+      ? generateEntryChunk(chunkId, chunk, modules, projectRoot, options)
+      : generateMainBundle(chunk, chunkGroupMap, modules, projectRoot, runtime, options));
+  }
+
+  // --- Lazy chunk bundles ---
+  output.push(...lazyOutput);
+
+  // --- Stylesheets (an entry's [name].css is linked from the HTML page) ---
+  output.push(...cssOutput);
+
+  // A template without [name], [id] or [contenthash] would write every
+  // chunk to the same file
+  const filenames = new Set();
+  for (const { filename } of output) {
+    if (filenames.has(filename)) {
+      throw new Error(
+        `Several chunks would be written to ${filename}. ` +
+        `Use [name], [id] or [contenthash] in output.filename and output.chunkFilename.`
+      );
+    }
+    filenames.add(filename);
+  }
+
+  // --- Copy asset/resource files (inline and source assets live in the JS) ---
+  const emittedAssets = new Set();
+  for (const [, info] of modules) {
+    if (info.assetFilename && !emittedAssets.has(info.assetFilename)) {
+      emittedAssets.add(info.assetFilename);
+      output.push({ filename: info.assetFilename, content: info.content });
+    }
   }
 
   return output;
 }
 
-function generateMainBundle(mainChunk, lazyChunks, chunkGroupMap, modules, projectRoot, hasLazyChunks) {
+/**
+ * A chunk that carries the runtime: an entry chunk with its modules and
+ * entry point, or the runtime chunk (no modules, no entry point).
+ */
+function generateMainBundle(mainChunk, chunkGroupMap, modules, projectRoot, runtime, options) {
   const lines = [];
+  const { ids } = options;
+  const isRuntimeChunk = mainChunk.entryModuleId === undefined;
 
   lines.push(`// ================================================================`);
-  lines.push(`// MAIN BUNDLE (Entry Chunk)`);
-  lines.push(`// ================================================================`);
-  lines.push(`// This is the entry chunk. It contains:`);
-  lines.push(`//   1. The Module Registry — factory functions for all statically-imported modules`);
-  lines.push(`//   2. The Module Cache — so each module executes only once`);
-  lines.push(`//   3. The loadModule() function — the core module loader`);
-  lines.push(`//   4. Runtime helpers — for ES module interop and lazy loading`);
-  lines.push(`//   5. The entry point execution`);
+  if (isRuntimeChunk) {
+    lines.push(`// RUNTIME CHUNK: ${mainChunk.id}`);
+    lines.push(`// ================================================================`);
+    lines.push(`// With optimization.runtimeChunk: "single", the runtime lives in this`);
+    lines.push(`// file instead of in every entry chunk. It contains:`);
+    lines.push(`//   1. An empty Module Registry — the entry chunks fill it in`);
+    lines.push(`//   2. The Module Cache — so each module executes only once`);
+    lines.push(`//   3. The loadModule() function — the core module loader`);
+    lines.push(`//   4. Runtime helpers — for ES module interop and chunk loading`);
+    lines.push(`//`);
+    lines.push(`// Every entry chunk on the page is installed into this one runtime, so`);
+    lines.push(`// they share module instances and lazy chunks. Load it before (or`);
+    lines.push(`// after — the entry chunks wait in the callback array) the entry chunks.`);
+  } else {
+    lines.push(`// MAIN BUNDLE (Entry Chunk "${mainChunk.id}")`);
+    lines.push(`// ================================================================`);
+    lines.push(`// This is the entry chunk. It contains:`);
+    lines.push(`//   1. The Module Registry — factory functions for all statically-imported modules`);
+    lines.push(`//   2. The Module Cache — so each module executes only once`);
+    lines.push(`//   3. The loadModule() function — the core module loader`);
+    lines.push(`//   4. Runtime helpers — for ES module interop and lazy loading`);
+    lines.push(`//   5. The entry point execution`);
+  }
   lines.push(`//`);
-  lines.push(`// In webpack, this entire IIFE is the entry chunk output.`);
+  lines.push(`// In webpack, this entire IIFE is the ${isRuntimeChunk ? 'runtime' : 'entry'} chunk output.`);
   lines.push(`// We use readable names instead of webpack's minified ones.`);
   lines.push(`// See the name mapping in README.md for the full correspondence.`);
   lines.push(`(() => {`);
@@ -54,8 +222,12 @@ function generateMainBundle(mainChunk, lazyChunks, chunkGroupMap, modules, proje
   lines.push(`// ========================================================`);
   lines.push(`// A Module is a single source file wrapped in a factory function.`);
   lines.push(`// This object maps Module IDs (file paths) to their factory functions.`);
-  lines.push(`// All modules in the "main" Chunk are registered here at build time.`);
-  lines.push(`// Modules from lazy Chunks are added at runtime when those chunks load.`);
+  if (isRuntimeChunk) {
+    lines.push(`// Entry and lazy Chunks add their modules at runtime when they load.`);
+  } else {
+    lines.push(`// All modules in the "${mainChunk.id}" Chunk are registered here at build time.`);
+    lines.push(`// Modules from lazy Chunks are added at runtime when those chunks load.`);
+  }
   lines.push(`//`);
   lines.push(`// Each factory receives three arguments:`);
   lines.push(`//   module  — the module object (module.exports is the exports object)`);
@@ -64,21 +236,8 @@ function generateMainBundle(mainChunk, lazyChunks, chunkGroupMap, modules, proje
   lines.push(`var moduleRegistry = {`);
 
   // Transform and emit each module in the main chunk
-  const mainModuleIds = [...mainChunk.moduleIds];
-  const entryModuleId = mainModuleIds[0]; // First module is the entry
-
-  for (let i = 0; i < mainModuleIds.length; i++) {
-    const moduleId = mainModuleIds[i];
-    const info = modules.get(moduleId);
-    const transformed = transformModule(info, projectRoot);
-    const indented = indentCode(transformed, '    ');
-
-    lines.push(``);
-    lines.push(`  // ---- Module: ${moduleId} ----`);
-    lines.push(`  "${moduleId}": (module, exports, loadModule) => {`);
-    lines.push(indented);
-    lines.push(`  },`);
-  }
+  const mapParts = [];
+  pushModuleFactories(lines, mainChunk, modules, projectRoot, options, '  ', mapParts);
 
   lines.push(`};`);
 
@@ -122,6 +281,10 @@ function generateMainBundle(mainChunk, lazyChunks, chunkGroupMap, modules, proje
   lines.push(`  return module.exports;`);
   lines.push(`}`);
 
+  // Everything from here to the entry point is the runtime section that
+  // plugins can rewrite through the runtime hook
+  const runtimeStart = lines.length;
+
   // -- Runtime Helpers --
   lines.push(``);
   lines.push(`// ========================================================`);
@@ -165,8 +328,93 @@ function generateMainBundle(mainChunk, lazyChunks, chunkGroupMap, modules, proje
   lines.push(`  return Object.prototype.hasOwnProperty.call(obj, prop);`);
   lines.push(`};`);
 
-  // -- Lazy Loading Runtime (if needed) --
-  if (hasLazyChunks) {
+  // -- Star Re-export Helper (if needed) --
+  if (runtime.hasStarExports) {
+    lines.push(``);
+    lines.push(`// Star re-export (webpack: __webpack_require__.d over the source's exports)`);
+    lines.push(`// \`export * from "./other.js"\` forwards every export of the source module`);
+    lines.push(`// except "default". Names the module already exports itself win. A name`);
+    lines.push(`// that two star re-exports provide is ambiguous: the bundler lists it in`);
+    lines.push(`// \`excluded\`, and it is left out, as in ES modules.`);
+    lines.push(`loadModule.exportStar = function(exports, source, excluded) {`);
+    lines.push(`  Object.keys(source).forEach(function(key) {`);
+    lines.push(`    if (key !== "default" && !loadModule.hasOwnProp(exports, key) && !(excluded && excluded.indexOf(key) !== -1)) {`);
+    lines.push(`      Object.defineProperty(exports, key, {`);
+    lines.push(`        enumerable: true,`);
+    lines.push(`        get: function() { return source[key]; }`);
+    lines.push(`      });`);
+    lines.push(`    }`);
+    lines.push(`  });`);
+    lines.push(`};`);
+  }
+
+  // -- Async Module Helpers (if needed) --
+  if (runtime.hasAsyncModules) {
+    lines.push(``);
+    lines.push(`// Async module wrapper (webpack: __webpack_require__.a)`);
+    lines.push(`// A module that uses top-level await — or imports one that does — runs`);
+    lines.push(`// its body inside an async function. loadModule() still returns the`);
+    lines.push(`// exports object right away; the body's promise is kept on the module`);
+    lines.push(`// so importers can wait for evaluation to finish.`);
+    lines.push(`loadModule.asyncModule = function(module, body) {`);
+    lines.push(`  module.promise = body();`);
+    lines.push(`};`);
+    lines.push(``);
+    lines.push(`// Wait until the given (already loaded) async modules have finished`);
+    lines.push(`// evaluating. Sync modules have no promise and count as done.`);
+    lines.push(`loadModule.waitForAsyncModules = function(moduleIds) {`);
+    lines.push(`  return Promise.all(moduleIds.map(function(moduleId) {`);
+    lines.push(`    return moduleCache[moduleId] && moduleCache[moduleId].promise;`);
+    lines.push(`  }));`);
+    lines.push(`};`);
+    lines.push(``);
+    lines.push(`// Load an async module and resolve with its exports once evaluated`);
+    lines.push(`// (used by import() of an async module)`);
+    lines.push(`loadModule.loadAsyncModule = function(moduleId) {`);
+    lines.push(`  var exports = loadModule(moduleId);`);
+    lines.push(`  return loadModule.waitForAsyncModules([moduleId]).then(function() {`);
+    lines.push(`    return exports;`);
+    lines.push(`  });`);
+    lines.push(`};`);
+  }
+
+  // -- CommonJS Interop Helpers (if needed) --
+  if (runtime.hasCommonJS) {
+    lines.push(``);
+    lines.push(`// Default export interop (webpack: __webpack_require__.n)`);
+    lines.push(`// A CommonJS module has no "default" export: its default is the whole`);
+    lines.push(`// module.exports value — unless it was compiled from an ES module`);
+    lines.push(`// (__esModule flag), in which case its real "default" is used.`);
+    lines.push(`// Returns a getter so the value is read at use time.`);
+    lines.push(`loadModule.getDefaultExport = function(module) {`);
+    lines.push(`  var getter = module && module.__esModule`);
+    lines.push(`    ? function() { return module["default"]; }`);
+    lines.push(`    : function() { return module; };`);
+    lines.push(`  return getter;`);
+    lines.push(`};`);
+    lines.push(``);
+    lines.push(`// Namespace object interop (webpack: __webpack_require__.t)`);
+    lines.push(`// For \`import * as ns\` and import() of a CommonJS module: builds an ES`);
+    lines.push(`// module namespace whose named exports mirror module.exports and whose`);
+    lines.push(`// "default" is module.exports itself.`);
+    lines.push(`loadModule.createNamespaceObject = function(value) {`);
+    lines.push(`  if (value && value.__esModule) return value;`);
+    lines.push(`  var ns = Object.create(null);`);
+    lines.push(`  loadModule.markAsESModule(ns);`);
+    lines.push(`  var definition = {};`);
+    lines.push(`  if (value !== null && (typeof value === "object" || typeof value === "function")) {`);
+    lines.push(`    Object.keys(value).forEach(function(key) {`);
+    lines.push(`      definition[key] = function() { return value[key]; };`);
+    lines.push(`    });`);
+    lines.push(`  }`);
+    lines.push(`  definition["default"] = function() { return value; };`);
+    lines.push(`  loadModule.defineExports(ns, definition);`);
+    lines.push(`  return ns;`);
+    lines.push(`};`);
+  }
+
+  // -- Chunk Loading Runtime (if needed) --
+  if (runtime.hasLazyChunks || runtime.hasRuntimeChunk || runtime.hasDeferredStartup) {
     lines.push(``);
     lines.push(`// ========================================================`);
     lines.push(`// LAZY LOADING RUNTIME`);
@@ -174,6 +422,9 @@ function generateMainBundle(mainChunk, lazyChunks, chunkGroupMap, modules, proje
     lines.push(`// Everything below handles on-demand chunk loading via import().`);
     lines.push(`// Webpack uses a JSONP-like pattern: lazy chunks push their data`);
     lines.push(`// into a global array, and the main chunk's runtime picks it up.`);
+    if (runtime.hasRuntimeChunk) {
+      lines.push(`// With a runtime chunk, entry chunks are installed the same way.`);
+    }
     lines.push(``);
 
     // chunkStatus
@@ -184,21 +435,86 @@ function generateMainBundle(mainChunk, lazyChunks, chunkGroupMap, modules, proje
     lines.push(`//   [resolve, reject, promise] = currently loading`);
     lines.push(`var chunkStatus = {};`);
     lines.push(``);
+  }
 
+  if (runtime.hasLazyChunks) {
     // getChunkFileName
+    if (hasContentHash(options.chunkFilename)) {
+      lines.push(`// Content hash of each chunk file, for the [contenthash] in its name.`);
+      lines.push(`// A chunk's file name changes only when its content does, so browsers`);
+      lines.push(`// can cache chunk files for good.`);
+      lines.push(`var chunkHashes = ${formatHashMap(runtime.chunkHashes, options.chunkFilename)};`);
+      lines.push(``);
+    }
+    // With short chunk IDs, [name] needs the name of each ID
+    const nameMap = ids !== NAMED_IDS && /\[name\]/.test(options.chunkFilename) ? 'chunkNames' : null;
+    if (nameMap) {
+      lines.push(`// Name of each chunk ID, for the [name] in chunk file names`);
+      const nameEntries = [...runtime.chunkNames].map(([chunkId, name]) => `  "${chunkId}": ${JSON.stringify(name)}`);
+      lines.push(`var chunkNames = {\n${nameEntries.join(',\n')}\n};`);
+      lines.push(``);
+    }
     lines.push(`// Map chunk ID to filename (webpack: __webpack_require__.u)`);
-    lines.push(`// In a real bundler this might have content hashes. We keep it simple.`);
+    lines.push(`// Built from the output.chunkFilename template (${options.chunkFilename}).`);
     lines.push(`function getChunkFileName(chunkId) {`);
-    lines.push(`  return chunkId + ".js";`);
+    lines.push(`  return ${chunkFilenameExpression(options.chunkFilename, 'chunkHashes', nameMap)};`);
     lines.push(`}`);
     lines.push(``);
 
     // publicPath
     lines.push(`// Base URL for loading chunks (webpack: __webpack_require__.p)`);
     lines.push(`// In production, this might be "https://cdn.example.com/assets/".`);
-    lines.push(`var publicPath = "";`);
+    lines.push(`var publicPath = ${JSON.stringify(options.publicPath || '')};`);
     lines.push(``);
 
+    // CSS chunk loading
+    if (runtime.cssChunkIds.length > 0) {
+      lines.push(`// ---- CSS Chunk Loading (webpack: mini-css-extract-plugin) ----`);
+      lines.push(`// Lazy chunks with styles have a .css file next to the .js file.`);
+      lines.push(`// loadChunk() adds a <link rel="stylesheet"> for it and waits for the`);
+      lines.push(`// stylesheet to load, so the module never runs unstyled.`);
+      lines.push(`var cssChunks = {`);
+      lines.push(runtime.cssChunkIds.map(chunkId => `  "${ids.getChunkId(chunkId)}": 1`).join(',\n'));
+      lines.push(`};`);
+      lines.push(``);
+      lines.push(`// Stylesheet loading state (webpack: installedCssChunks)`);
+      lines.push(`//   0 = loaded, a Promise = currently loading, undefined = not requested`);
+      lines.push(`var cssChunkStatus = {};`);
+      lines.push(``);
+      if (hasContentHash(options.chunkFilename)) {
+        lines.push(`var cssChunkHashes = ${formatHashMap(runtime.cssChunkHashes, options.chunkFilename)};`);
+        lines.push(``);
+      }
+      lines.push(`function getCssChunkFileName(chunkId) {`);
+      lines.push(`  return ${chunkFilenameExpression(toCssFilename(options.chunkFilename), 'cssChunkHashes', nameMap)};`);
+      lines.push(`}`);
+      lines.push(``);
+      lines.push(`function loadStylesheet(chunkId) {`);
+      lines.push(`  if (cssChunkStatus[chunkId] === 0) return Promise.resolve();`);
+      lines.push(`  if (cssChunkStatus[chunkId]) return cssChunkStatus[chunkId];`);
+      lines.push(``);
+      lines.push(`  var href = publicPath + getCssChunkFileName(chunkId);`);
+      lines.push(`  cssChunkStatus[chunkId] = new Promise(function(resolve, reject) {`);
+      lines.push(`    var link = document.createElement("link");`);
+      lines.push(`    link.rel = "stylesheet";`);
+      lines.push(`    link.href = href;`);
+      lines.push(`    link.onload = function() {`);
+      lines.push(`      cssChunkStatus[chunkId] = 0;`);
+      lines.push(`      resolve();`);
+      lines.push(`    };`);
+      lines.push(`    link.onerror = function() {`);
+      lines.push(`      delete cssChunkStatus[chunkId]; // allow a retry`);
+      lines.push(`      var error = new Error("Loading CSS chunk " + chunkId + " failed (" + href + ")");`);
+      lines.push(`      error.code = "CSS_CHUNK_LOAD_FAILED";`);
+      lines.push(`      reject(error);`);
+      lines.push(`    };`);
+      lines.push(`    document.head.appendChild(link);`);
+      lines.push(`  });`);
+      lines.push(`  return cssChunkStatus[chunkId];`);
+      lines.push(`}`);
+      lines.push(``);
+    }
+
     // chunkGroupMap
     lines.push(`// ---- ChunkGroup Map ----`);
     lines.push(`// A ChunkGroup is a set of Chunks that must ALL be loaded before a`);
@@ -229,6 +545,13 @@ function generateMainBundle(mainChunk, lazyChunks, chunkGroupMap, modules, proje
     lines.push(`    var id = chunkIds[i];`);
     lines.push(`    var status = chunkStatus[id];`);
     lines.push(``);
+    if (runtime.cssChunkIds.length > 0) {
+      lines.push(`    // The chunk's stylesheet loads alongside its script`);
+      lines.push(`    if (cssChunks[id]) {`);
+      lines.push(`      promises.push(loadStylesheet(id));`);
+      lines.push(`    }`);
+      lines.push(``);
+    }
     lines.push(`    if (status === 0) {`);
     lines.push(`      // Already loaded — skip`);
     lines.push(`      continue;`);
@@ -255,6 +578,10 @@ function generateMainBundle(mainChunk, lazyChunks, chunkGroupMap, modules, proje
     lines.push(`  return Promise.all(promises);`);
     lines.push(`}`);
     lines.push(``);
+    lines.push(`// Module factories call it as loadModule.loadChunk(), which also works`);
+    lines.push(`// from modules in other chunk files`);
+    lines.push(`loadModule.loadChunk = loadChunk;`);
+    lines.push(``);
 
     // loadScript
     lines.push(`// DOM <script> injection (webpack: __webpack_require__.l)`);
@@ -270,13 +597,19 @@ function generateMainBundle(mainChunk, lazyChunks, chunkGroupMap, modules, proje
     lines.push(`  document.head.appendChild(script);`);
     lines.push(`}`);
     lines.push(``);
+  }
 
+  if (runtime.hasLazyChunks || runtime.hasRuntimeChunk || runtime.hasDeferredStartup) {
     // JSONP callback system
     lines.push(`// ---- JSONP Callback System ----`);
     lines.push(`// Webpack's lazy loading uses a JSONP-like pattern:`);
     lines.push(`//   1. The main bundle creates a global array: self["bundlerChunkCallbacks"]`);
     lines.push(`//   2. It overrides .push() on that array with a custom installer function`);
     lines.push(`//   3. Lazy chunk files call: self["bundlerChunkCallbacks"].push([chunkIds, modules])`);
+    if (runtime.hasRuntimeChunk) {
+      lines.push(`//      (entry chunk files add a third element: a startup function that`);
+      lines.push(`//      runs their entry module once the modules are registered)`);
+    }
     lines.push(`//   4. The overridden .push() picks up the data, registers modules,`);
     lines.push(`//      and resolves the loading promise`);
     lines.push(`//`);
@@ -285,6 +618,33 @@ function generateMainBundle(mainChunk, lazyChunks, chunkGroupMap, modules, proje
     lines.push(`// (webpack: webpackChunkApp)`);
     lines.push(``);
 
+    if (runtime.hasDeferredStartup) {
+      lines.push(`// ---- Deferred Entry Startup (webpack: __webpack_require__.O) ----`);
+      lines.push(`// An entry whose modules were split into other initial chunks (e.g. a`);
+      lines.push(`// vendors chunk) must not run before those chunks are here. The page`);
+      lines.push(`// includes them with <script> tags; the entry's startup waits in this`);
+      lines.push(`// list, and installChunk() runs it once all its chunks have loaded.`);
+      lines.push(`var deferredStartups = [];`);
+      lines.push(``);
+      lines.push(`loadModule.onChunksLoaded = function(chunkIds, startup) {`);
+      lines.push(`  deferredStartups.push([chunkIds, startup]);`);
+      lines.push(`  runDeferredStartups();`);
+      lines.push(`};`);
+      lines.push(``);
+      lines.push(`function runDeferredStartups() {`);
+      lines.push(`  for (var i = 0; i < deferredStartups.length; i++) {`);
+      lines.push(`    var ready = deferredStartups[i][0].every(function(id) {`);
+      lines.push(`      return chunkStatus[id] === 0;`);
+      lines.push(`    });`);
+      lines.push(`    if (ready) {`);
+      lines.push(`      var startup = deferredStartups.splice(i--, 1)[0][1];`);
+      lines.push(`      startup();`);
+      lines.push(`    }`);
+      lines.push(`  }`);
+      lines.push(`}`);
+      lines.push(``);
+    }
+
     lines.push(`// Install chunk data: register modules and resolve promises`);
     lines.push(`function installChunk(data) {`);
     lines.push(`  var chunkIds = data[0];`);
@@ -305,6 +665,19 @@ function generateMainBundle(mainChunk, lazyChunks, chunkGroupMap, modules, proje
     lines.push(`    }`);
     lines.push(`    chunkStatus[id] = 0; // mark as loaded`);
     lines.push(`  }`);
+    if (runtime.hasRuntimeChunk) {
+      lines.push(``);
+      lines.push(`  // An entry chunk starts its entry module`);
+      lines.push(`  var startup = data[2];`);
+      lines.push(`  if (startup) {`);
+      lines.push(`    startup(loadModule);`);
+      lines.push(`  }`);
+    }
+    if (runtime.hasDeferredStartup) {
+      lines.push(``);
+      lines.push(`  // Entries waiting for this chunk may be able to start now`);
+      lines.push(`  runDeferredStartups();`);
+    }
     lines.push(`}`);
     lines.push(``);
 
@@ -323,25 +696,60 @@ function generateMainBundle(mainChunk, lazyChunks, chunkGroupMap, modules, proje
     lines.push(`};`);
   }
 
-  // -- Entry Point --
-  lines.push(``);
-  lines.push(`// ========================================================`);
-  lines.push(`// ENTRY POINT`);
-  lines.push(`// ========================================================`);
-  lines.push(`// This kicks off the application by loading the entry module.`);
-  lines.push(`// The entry module's factory runs, which triggers loadModule()`);
-  lines.push(`// calls for its dependencies, recursively initializing the`);
-  lines.push(`// entire module graph.`);
+  // -- Context Module Loader (if needed) --
+  if (runtime.hasContextModules) {
+    lines.push(``);
+    lines.push(`// Context module lookup (webpack: webpackAsyncContext)`);
+    lines.push(`// import(\`./locales/\${lang}.js\`) can't be resolved at build time, so every`);
+    lines.push(`// file matching the pattern became its own lazy chunk (or, with webpackMode,`);
+    lines.push(`// one shared chunk or part of this one). The call site passes a table of`);
+    lines.push(`// request → [chunkId, moduleId, moduleType] and the actual request string;`);
+    lines.push(`// this routes the request to loadChunk(). A null chunkId means eager.`);
+    lines.push(`loadModule.loadContextModule = function(contextMap, request) {`);
+    lines.push(`  if (!loadModule.hasOwnProp(contextMap, request)) {`);
+    lines.push(`    var error = new Error("Cannot find module '" + request + "'");`);
+    lines.push(`    error.code = "MODULE_NOT_FOUND";`);
+    lines.push(`    return Promise.reject(error);`);
+    lines.push(`  }`);
+    lines.push(`  var target = contextMap[request];`);
+    lines.push(`  var ready = target[0] === null ? Promise.resolve() : loadChunk(target[0]);`);
+    lines.push(`  return ready.then(function() {`);
+    lines.push(`    if (target[2] === "commonjs") return loadModule.createNamespaceObject(loadModule(target[1]));`);
+    lines.push(`    if (target[2] === "async") return loadModule.loadAsyncModule(target[1]);`);
+    lines.push(`    return loadModule(target[1]);`);
+    lines.push(`  });`);
+    lines.push(`};`);
+  }
 
-  // Find the entry module — it's the first module (BFS order guarantees this)
-  lines.push(`var entryExports = loadModule("${entryModuleId}");`);
+  const runtimeSource = lines.splice(runtimeStart).join('\n');
+  lines.push(options.hooks.runtime.call(runtimeSource, runtime));
+
+  // -- Entry Point --
+  if (!isRuntimeChunk) {
+    lines.push(``);
+    lines.push(`// ========================================================`);
+    lines.push(`// ENTRY POINT`);
+    lines.push(`// ========================================================`);
+    lines.push(`// This kicks off the application by loading the entry module.`);
+    lines.push(`// The entry module's factory runs, which triggers loadModule()`);
+    lines.push(`// calls for its dependencies, recursively initializing the`);
+    lines.push(`// entire module graph.`);
+    if (mainChunk.dependsOn && mainChunk.dependsOn.length > 0) {
+      lines.push(`// It waits for the initial chunks that hold some of its modules.`);
+      lines.push(`loadModule.onChunksLoaded(${JSON.stringify(mainChunk.dependsOn.map(ids.getChunkId))}, function() {`);
+      lines.push(`  loadModule(${JSON.stringify(ids.getModuleId(mainChunk.entryModuleId))});`);
+      lines.push(`});`);
+    } else {
+      lines.push(`var entryExports = loadModule(${JSON.stringify(ids.getModuleId(mainChunk.entryModuleId))});`);
+    }
+  }
 
   lines.push(`})();`);
 
-  return lines.join('\n');
+  return toChunkOutput(lines, mapParts, options);
 }
 
-function generateLazyChunk(chunkId, chunk, modules, projectRoot) {
+function generateLazyChunk(chunkId, chunk, modules, projectRoot, options) {
   const lines = [];
 
   lines.push(`// ================================================================`);
@@ -356,27 +764,279 @@ function generateLazyChunk(chunkId, chunk, modules, projectRoot) {
   lines.push(`//   chunkIds — array of chunk IDs this file fulfills`);
   lines.push(`//   moduleFactories — object mapping module IDs to factory functions`);
   lines.push(`(self["bundlerChunkCallbacks"] = self["bundlerChunkCallbacks"] || []).push([`);
-  lines.push(`  ["${chunkId}"],`);
+  lines.push(`  ${JSON.stringify([options.ids.getChunkId(chunkId)])},`);
   lines.push(`  {`);
+  const mapParts = [];
+  pushModuleFactories(lines, chunk, modules, projectRoot, options, '    ', mapParts);
+  lines.push(`  }`);
+  lines.push(`]);`);
+
+  return toChunkOutput(lines, mapParts, options);
+}
 
-  const moduleIds = [...chunk.moduleIds];
-  for (let i = 0; i < moduleIds.length; i++) {
-    const moduleId = moduleIds[i];
+/**
+ * An entry chunk when the runtime is in its own chunk (webpack:
+ * optimization.runtimeChunk). It is installed like a lazy chunk, plus a
+ * startup function that runs the entry module.
+ */
+function generateEntryChunk(chunkId, chunk, modules, projectRoot, options) {
+  const lines = [];
+  const { ids } = options;
+
+  lines.push(`// ================================================================`);
+  lines.push(`// ENTRY CHUNK: ${chunkId}`);
+  lines.push(`// ================================================================`);
+  lines.push(`// The runtime (loadModule, the module cache, chunk loading) is in the`);
+  lines.push(`// runtime chunk, which every entry chunk on the page shares. Like a lazy`);
+  lines.push(`// chunk, this file pushes its modules into the global callback array;`);
+  lines.push(`// the third element starts the entry module once they are registered.`);
+  lines.push(`//`);
+  lines.push(`// Structure: [chunkIds, moduleFactories, startup]`);
+  lines.push(`(self["bundlerChunkCallbacks"] = self["bundlerChunkCallbacks"] || []).push([`);
+  lines.push(`  ${JSON.stringify([ids.getChunkId(chunkId)])},`);
+  lines.push(`  {`);
+  const mapParts = [];
+  pushModuleFactories(lines, chunk, modules, projectRoot, options, '    ', mapParts);
+  lines.push(`  },`);
+  lines.push(`  // Entry point`);
+  lines.push(`  (loadModule) => {`);
+  if (chunk.dependsOn && chunk.dependsOn.length > 0) {
+    lines.push(`    // Wait for the initial chunks that hold some of this entry's modules`);
+    lines.push(`    loadModule.onChunksLoaded(${JSON.stringify(chunk.dependsOn.map(ids.getChunkId))}, () => {`);
+    lines.push(`      loadModule(${JSON.stringify(ids.getModuleId(chunk.entryModuleId))});`);
+    lines.push(`    });`);
+  } else {
+    lines.push(`    loadModule(${JSON.stringify(ids.getModuleId(chunk.entryModuleId))});`);
+  }
+  lines.push(`  }`);
+  lines.push(`]);`);
+
+  return toChunkOutput(lines, mapParts, options);
+}
+
+/**
+ * Append the `"moduleId": (module, exports, loadModule) => { ... },`
+ * entries of a chunk's modules, indented by `indent`. Where each factory
+ * body went is recorded in `mapParts` for joinSourceMaps().
+ */
+function pushModuleFactories(lines, chunk, modules, projectRoot, options, indent, mapParts) {
+  for (const moduleId of chunk.moduleIds) {
     const info = modules.get(moduleId);
-    const transformed = transformModule(info, projectRoot);
-    const indented = indentCode(transformed, '      ');
+    const { code, map } = renderModule(info, chunk.id, modules, projectRoot, options);
 
     lines.push(``);
-    lines.push(`    // ---- Module: ${moduleId} ----`);
-    lines.push(`    "${moduleId}": (module, exports, loadModule) => {`);
-    lines.push(indented);
-    lines.push(`    },`);
+    lines.push(`${indent}// ---- Module: ${moduleId} ----`);
+    lines.push(`${indent}${JSON.stringify(options.ids.getModuleId(moduleId))}: (module, exports, loadModule) => {`);
+    if (isEvalDevtool(options.devtool)) {
+      lines.push(`${indent}  ${toEvalCode(moduleId, code, map)}`);
+    } else {
+      if (map) mapParts.push({ index: lines.length, indent: indent.length + 2, map });
+      lines.push(indentCode(code, indent + '  '));
+    }
+    lines.push(`${indent}},`);
   }
+}
 
-  lines.push(`  }`);
-  lines.push(`]);`);
+/**
+ * A factory body run through eval() (devtool "eval" and "eval-source-map").
+ * The browser lists eval'd code under its //# sourceURL, so each module
+ * shows up as a file of its own; with a map, that file maps back to the
+ * original source.
+ */
+function toEvalCode(moduleId, code, map) {
+  const sourceUrl = toEvalSourceUrl(moduleId);
+  let evalSource = code;
+  if (map) {
+    evalSource += `\n//# sourceMappingURL=${toDataUrl(toSourceMapJson(map, sourceUrl))}`;
+  }
+  evalSource += `\n//# sourceURL=${sourceUrl}`;
+  return `eval(${JSON.stringify(evalSource)});`;
+}
+
+function isEvalDevtool(devtool) {
+  return devtool === 'eval' || devtool === 'eval-source-map';
+}
+
+/**
+ * The rendered chunk: its code (minified with options.minimize) and, for
+ * the devtools that map whole files, the map joined from its factory
+ * bodies' maps.
+ */
+function toChunkOutput(lines, mapParts, options) {
+  const mapsFile = options.devtool === 'source-map' || options.devtool === 'inline-source-map';
+  let content = lines.join('\n');
+  let map = mapsFile ? joinSourceMaps(lines, mapParts) : null;
+
+  if (options.minimize) {
+    const renames = !isEvalDevtool(options.devtool);
+    const minified = minify(content, {
+      mangle: renames,
+      renameMembers: renames ? { loadModule: SHORT_HELPER_NAMES } : {},
+      sourceMap: Boolean(map),
+    });
+    content = minified.code;
+    // minified → readable → original
+    if (map) map = { ...map, mappings: remapMappings(minified.map.mappings, map.mappings) };
+  }
+
+  return { content, map };
+}
+
+/**
+ * The output files of a rendered chunk: the JS file, with a comment
+ * pointing at its map, and for devtool "source-map" the .map file.
+ */
+function withSourceMap(filename, { content, map }, devtool) {
+  if (!map) {
+    return [{ filename, content }];
+  }
+  const basename = path.posix.basename(filename);
+  const mapJson = toSourceMapJson(map, basename);
+  if (devtool === 'inline-source-map') {
+    return [{ filename, content: `${content}\n//# sourceMappingURL=${toDataUrl(mapJson)}` }];
+  }
+  return [
+    { filename, content: `${content}\n//# sourceMappingURL=${basename}.map` },
+    { filename: `${filename}.map`, content: mapJson },
+  ];
+}
+
+// [name], [id], [contenthash] and [contenthash:<length>]
+const TEMPLATE_PLACEHOLDER = /\[(name|id|contenthash)(?::(\d+))?\]/g;
+const DEFAULT_HASH_LENGTH = 20;
+
+/**
+ * Fill in a filename template: [name] becomes the chunk name, [id] its
+ * output ID and [contenthash] the hash (of the given length).
+ */
+function getChunkFilename(template, chunkName, chunkId, hash = '') {
+  return template.replace(TEMPLATE_PLACEHOLDER, (match, placeholder, length) => {
+    if (placeholder === 'contenthash') return hash.slice(0, length ? Number(length) : DEFAULT_HASH_LENGTH);
+    return placeholder === 'name' ? chunkName : String(chunkId);
+  });
+}
+
+/**
+ * The same template as a runtime JS expression of `chunkId`, reading
+ * content hashes from the `hashMap` variable and, when given, chunk names
+ * from the `nameMap` variable:
+ * "js/[id].[contenthash:8].js" → "js/" + chunkId + "." + chunkHashes[chunkId] + ".js"
+ */
+function chunkFilenameExpression(template, hashMap, nameMap) {
+  const maxLength = getHashLength(template);
+  const parts = [];
+  let textStart = 0;
+  for (const match of template.matchAll(TEMPLATE_PLACEHOLDER)) {
+    parts.push(JSON.stringify(template.slice(textStart, match.index)));
+    textStart = match.index + match[0].length;
+
+    const hashLength = match[2] ? Number(match[2]) : DEFAULT_HASH_LENGTH;
+    if (match[1] === 'name' && nameMap) {
+      parts.push(`${nameMap}[chunkId]`);
+    } else if (match[1] !== 'contenthash') {
+      parts.push('chunkId');
+    } else if (hashLength < maxLength) {
+      parts.push(`${hashMap}[chunkId].slice(0, ${hashLength})`);
+    } else {
+      parts.push(`${hashMap}[chunkId]`);
+    }
+  }
+  parts.push(JSON.stringify(template.slice(textStart)));
+
+  return parts.join(' + ').replace(/^"" \+ | \+ ""$/g, '');
+}
+
+function hasContentHash(template) {
+  return /\[contenthash(?::\d+)?\]/.test(template);
+}
+
+/**
+ * The longest [contenthash] a template uses — the length the runtime's
+ * hash maps keep.
+ */
+function getHashLength(template) {
+  let maxLength = 0;
+  for (const match of template.matchAll(TEMPLATE_PLACEHOLDER)) {
+    if (match[1] === 'contenthash') {
+      maxLength = Math.max(maxLength, match[2] ? Number(match[2]) : DEFAULT_HASH_LENGTH);
+    }
+  }
+  return maxLength;
+}
+
+/**
+ * A { chunkId: hash } map as an object literal, with the hashes cut to the
+ * length the template needs.
+ */
+function formatHashMap(hashes, template) {
+  const length = getHashLength(template);
+  const entries = Object.entries(hashes).map(([chunkId, hash]) => `  "${chunkId}": "${hash.slice(0, length)}"`);
+  return entries.length > 0 ? `{\n${entries.join(',\n')}\n}` : '{}';
+}
+
+/**
+ * Hash of an output file's content for [contenthash]: the same content
+ * always gives the same file name.
+ */
+function getContentHash(content) {
+  return crypto.createHash('md5').update(content).digest('hex').slice(0, DEFAULT_HASH_LENGTH);
+}
+
+function toCssFilename(filename) {
+  return filename.replace(/\.js$/, '') + '.css';
+}
+
+/**
+ * Transform a module into its factory body, then let plugins change it.
+ * Returns { code, map }; map is null unless options.devtool needs maps.
+ */
+function renderModule(info, chunkId, modules, projectRoot, options) {
+  const transformed = options.devtool && options.devtool !== 'eval'
+    ? transformModuleWithMap(info, projectRoot, modules, options)
+    : { code: transformModule(info, projectRoot, modules, options), map: null };
+  const code = options.hooks.renderModule.call(transformed.code, info, chunkId);
+  return { code, map: code === transformed.code ? transformed.map : null };
+}
+
+/**
+ * Concatenate the CSS modules of a chunk into one stylesheet. Modules are
+ * ordered like the browser would apply them: depth-first through imports
+ * in source order, each after the modules it imports — so an @import'ed
+ * sheet comes before the sheet that imports it. An @import with a media
+ * condition wraps the imported sheet in @media.
+ */
+function generateChunkCss(chunk, modules, projectRoot, options) {
+  const sheets = [];
+  const visited = new Set();
+
+  const visit = (moduleId, condition) => {
+    if (visited.has(moduleId)) return;
+    visited.add(moduleId);
+    const info = modules.get(moduleId);
+    if (!info) return;
+
+    const deps = [...info.imports, ...info.reexports, ...info.requires]
+      .sort((a, b) => a.node.start - b.node.start)
+      .map(dep => ({ resolvedPath: dep.resolvedPath, condition: '' }))
+      .concat(info.cssDependencies.filter(dep => dep.kind === 'import'));
+    for (const dep of deps) {
+      visit(toModuleId(dep.resolvedPath, projectRoot), dep.condition);
+    }
+
+    if (info.moduleType === 'css' && chunk.moduleIds.has(moduleId)) {
+      let css = transformCssModule(info, projectRoot, modules, options);
+      if (condition) {
+        css = `@media ${condition} {\n${indentCode(css, '  ')}\n}`;
+      }
+      sheets.push(`/* ${moduleId} */\n${css}`);
+    }
+  };
+
+  for (const moduleId of chunk.moduleIds) {
+    visit(moduleId, '');
+  }
 
-  return lines.join('\n');
+  return sheets.join('\n\n');
 }
 
 /**
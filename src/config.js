@@ -0,0 +1,331 @@
+const path = require('path');
+const fs = require('fs');
+const { pathToFileURL } = require('url');
+
+const DEFAULT_CONFIG_FILE = 'bundler.config.js';
+
+/**
+ * A problem with the configuration or CLI flags — reported without a stack
+ * trace, since it's the user's input that needs fixing.
+ */
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Configuration file (mirrors the subset of webpack.config.js this bundler
+ * understands). Every key is optional:
+ *
+ *   mode          — "development" (default), "production" or "none"
+ *   entry         — entry file (the entry "main"), or { name: file } for
+ *                   several entry chunks
+ *   output        — { path, filename, chunkFilename, publicPath }. Filename
+ *                   templates may use [name] and [id] (the chunk ID; an
+ *                   entry chunk's ID is its entry name) and
+ *                   [contenthash] / [contenthash:<length>].
+ *   resolve       — resolveModule() options (alias, extensions, ...)
+ *   module        — { rules, assets }: loader rules and asset module options
+ *   optimization  — { splitChunks, runtimeChunk, ids, minimize }: splitChunks
+ *                   is false or { chunks, minSize, minChunks, cacheGroups }
+ *                   (see DEFAULT_SPLIT_CHUNKS); runtimeChunk "single" moves
+ *                   the runtime out of the entry chunks into runtime.js; ids
+ *                   is "named", "deterministic" or "numeric" (see
+ *                   createIds), by default "deterministic" in production
+ *                   mode and "named" otherwise; minimize minifies the JS
+ *                   output, by default in production mode
+ *   devtool       — false (default), "source-map", "inline-source-map",
+ *                   "eval" or "eval-source-map" (see generateBundles)
+ *   plugins       — plugin objects or functions
+ *   importMetaEnv — extra values for import.meta.env (MODE, DEV and PROD are
+ *                   set from the mode)
+ *
+ * Each entry in CONFIG_SCHEMA is either a validator, returning an error
+ * message or null, or a nested schema for an object value. A validator
+ * gets (value, keyPath, problems) and may check parts of the value itself
+ * with checkSchema().
+ */
+const CONFIG_SCHEMA = {
+  mode: oneOf(['development', 'production', 'none']),
+  entry: (value) =>
+    typeof value === 'string' || (isPlainObject(value) && Object.values(value).every(v => typeof v === 'string'))
+      ? null
+      : 'expected a file path or an object of { name: file path }',
+  output: {
+    path: isString,
+    filename: isString,
+    chunkFilename: isString,
+    publicPath: isString,
+  },
+  resolve: {
+    alias: isObject,
+    extensions: isStringArray,
+    mainFields: isStringArray,
+    mainFiles: isStringArray,
+    modules: isStringArray,
+    conditionNames: isStringArray,
+  },
+  module: {
+    rules: isArray,
+    assets: {
+      types: isObject,
+      inlineLimit: isByteCount,
+    },
+  },
+  optimization: {
+    splitChunks: (value, keyPath, problems) => {
+      if (typeof value === 'boolean') return null;
+      if (!isPlainObject(value)) return 'expected true, false or an object';
+      checkSchema(value, SPLIT_CHUNKS_SCHEMA, keyPath, problems);
+      return null;
+    },
+    runtimeChunk: (value) => (value === 'single' || value === false ? null : 'expected "single" or false'),
+    ids: oneOf(['named', 'deterministic', 'numeric']),
+    minimize: isBoolean,
+  },
+  devtool: oneOf([false, 'source-map', 'inline-source-map', 'eval', 'eval-source-map']),
+  plugins: isArray,
+  importMetaEnv: isObject,
+};
+
+const CACHE_GROUP_SCHEMA = {
+  test: (value) =>
+    typeof value === 'string' || typeof value === 'function' || value instanceof RegExp
+      ? null
+      : 'expected a RegExp, function or path',
+  chunks: oneOf(['async', 'initial', 'all']),
+  minSize: isByteCount,
+  minChunks: (value) => (Number.isInteger(value) && value >= 1 ? null : 'expected a whole number of at least 1'),
+  priority: (value) => (typeof value === 'number' ? null : 'expected a number'),
+  name: isString,
+  idHint: isString,
+};
+
+const SPLIT_CHUNKS_SCHEMA = {
+  chunks: CACHE_GROUP_SCHEMA.chunks,
+  minSize: CACHE_GROUP_SCHEMA.minSize,
+  minChunks: CACHE_GROUP_SCHEMA.minChunks,
+  cacheGroups: (value, keyPath, problems) => {
+    if (!isPlainObject(value)) return 'expected an object of { name: cache group }';
+    for (const [name, group] of Object.entries(value)) {
+      if (group !== false) checkSchema(group, CACHE_GROUP_SCHEMA, `${keyPath}.${name}`, problems);
+    }
+    return null;
+  },
+};
+
+/**
+ * Find and load the configuration file. `configPath` is the --config flag;
+ * without it, bundler.config.js in the working directory is used when it
+ * exists. The file may be CommonJS or an ES module, and may export the
+ * config object or a function (env, argv) returning it (or a Promise of it).
+ *
+ * Resolves to the validated config object ({} when there is no file).
+ */
+async function loadConfig(configPath, env = {}, argv = {}) {
+  const file = configPath ? path.resolve(configPath) : path.resolve(DEFAULT_CONFIG_FILE);
+  if (!fs.existsSync(file)) {
+    if (configPath) {
+      throw new ConfigError(`Config file not found: ${file}`);
+    }
+    return {};
+  }
+
+  // import() loads both CommonJS (as the default export) and ES modules
+  const exported = await import(pathToFileURL(file).href);
+  let config = exported.default !== undefined ? exported.default : exported;
+  if (typeof config === 'function') {
+    config = await config(env, argv);
+  }
+  if (!isPlainObject(config)) {
+    throw new ConfigError(`${file} must export a configuration object or a function returning one`);
+  }
+
+  validateConfig(config, file);
+  return config;
+}
+
+/**
+ * Check a config object against CONFIG_SCHEMA. Throws one error listing
+ * every problem; unknown keys get a "did you mean" hint.
+ */
+function validateConfig(config, source = 'configuration') {
+  const problems = [];
+  checkSchema(config, CONFIG_SCHEMA, '', problems);
+
+  if (problems.length > 0) {
+    throw new ConfigError(`Invalid configuration in ${source}:\n  - ${problems.join('\n  - ')}`);
+  }
+}
+
+/**
+ * Check a value against a schema (see CONFIG_SCHEMA), pushing one message
+ * per problem onto `problems`.
+ */
+function checkSchema(value, schema, keyPath, problems) {
+  if (typeof schema === 'function') {
+    const problem = schema(value, keyPath, problems);
+    if (problem) problems.push(`${keyPath}: ${problem}`);
+    return;
+  }
+  if (!isPlainObject(value)) {
+    problems.push(`${keyPath}: expected an object`);
+    return;
+  }
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = keyPath ? `${keyPath}.${key}` : key;
+    if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+      const suggestion = closestKey(key, Object.keys(schema));
+      problems.push(
+        `Unknown option "${childPath}".` +
+        (suggestion ? ` Did you mean "${keyPath ? `${keyPath}.` : ''}${suggestion}"?` : '') +
+        ` Known options: ${Object.keys(schema).join(', ')}`
+      );
+      continue;
+    }
+    if (child !== undefined) checkSchema(child, schema[key], childPath, problems);
+  }
+}
+
+/**
+ * Turn a validated config plus CLI overrides into the options the build
+ * pipeline takes. Paths resolve against projectRoot.
+ *
+ * cli: { entry, output, mode, plugins } — each overrides the config value.
+ */
+function normalizeConfig(config, cli, projectRoot) {
+  const mode = cli.mode || config.mode || 'development';
+  validateConfig({ mode }, '--mode');
+
+  const output = config.output || {};
+  const optimization = config.optimization || {};
+  const entry = cli.entry || config.entry;
+  if (!entry || (isPlainObject(entry) && Object.keys(entry).length === 0)) {
+    throw new ConfigError('No entry given: set "entry" in the config file or pass --entry <path>');
+  }
+  // A single entry file is the entry "main", as in webpack
+  const entries = {};
+  for (const [name, file] of Object.entries(isPlainObject(entry) ? entry : { main: entry })) {
+    entries[name] = path.resolve(projectRoot, file);
+  }
+  if (optimization.runtimeChunk === 'single' && entries.runtime) {
+    throw new ConfigError('The entry name "runtime" is taken by the runtime chunk (optimization.runtimeChunk: "single")');
+  }
+  const outputPath = cli.output || output.path;
+  if (!outputPath) {
+    throw new ConfigError('No output directory given: set "output.path" in the config file or pass --output <dir>');
+  }
+
+  return {
+    mode,
+    entries,
+    outputDir: path.resolve(projectRoot, outputPath),
+    filename: output.filename || '[name].js',
+    chunkFilename: output.chunkFilename || '[id].js',
+    publicPath: output.publicPath || '',
+    resolve: config.resolve || {},
+    rules: (config.module && config.module.rules) || [],
+    assets: config.module && config.module.assets,
+    splitChunks: optimization.splitChunks === undefined ? true : optimization.splitChunks,
+    runtimeChunk: optimization.runtimeChunk || false,
+    ids: optimization.ids || (mode === 'production' ? 'deterministic' : 'named'),
+    minimize: optimization.minimize === undefined ? mode === 'production' : optimization.minimize,
+    devtool: config.devtool || false,
+    plugins: [...(config.plugins || []), ...cli.plugins],
+    importMetaEnv: {
+      MODE: mode,
+      DEV: mode !== 'production',
+      PROD: mode === 'production',
+      ...config.importMetaEnv,
+    },
+  };
+}
+
+/**
+ * Parse --env values the way webpack does: "production" → { production: true },
+ * "api=https://x" → { api: "https://x" }.
+ */
+function parseEnvArgs(values) {
+  const env = {};
+  for (const value of values) {
+    const eq = value.indexOf('=');
+    if (eq === -1) {
+      env[value] = true;
+    } else {
+      env[value.slice(0, eq)] = value.slice(eq + 1);
+    }
+  }
+  return env;
+}
+
+// --- Validators ---
+
+function oneOf(values) {
+  return (value) => (values.includes(value) ? null : `expected one of ${values.map(v => JSON.stringify(v)).join(', ')}`);
+}
+
+function isString(value) {
+  return typeof value === 'string' ? null : 'expected a string';
+}
+
+function isBoolean(value) {
+  return typeof value === 'boolean' ? null : 'expected true or false';
+}
+
+function isByteCount(value) {
+  return typeof value === 'number' && value >= 0 ? null : 'expected a number of bytes';
+}
+
+function isArray(value) {
+  return Array.isArray(value) ? null : 'expected an array';
+}
+
+function isObject(value) {
+  return isPlainObject(value) ? null : 'expected an object';
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string')
+    ? null
+    : 'expected an array of strings';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * The known key closest to a misspelled one (edit distance ≤ 2), or null.
+ */
+function closestKey(key, knownKeys) {
+  let best = null;
+  let bestDistance = 3;
+  for (const known of knownKeys) {
+    const distance = editDistance(key.toLowerCase(), known.toLowerCase());
+    if (distance < bestDistance) {
+      best = known;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+module.exports = { ConfigError, loadConfig, validateConfig, normalizeConfig, parseEnvArgs, DEFAULT_CONFIG_FILE };
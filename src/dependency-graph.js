@@ -1,47 +1,621 @@
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
 const { parseModule } = require('./parser');
-const { resolveModule } = require('./resolver');
+const { resolveModule, DEFAULT_RESOLVE_OPTIONS } = require('./resolver');
+const { runLoaders, matchCondition } = require('./loaders');
+const { createHooks } = require('./hooks');
+const { analyzeScopes } = require('./scope');
 
 /**
- * Build the full dependency graph starting from an entry file.
- * Returns a Map of absolute paths to ModuleInfo objects.
+ * Default optimization.splitChunks options (webpack's SplitChunksPlugin).
+ * The top-level chunks / minSize / minChunks are the defaults of every
+ * cache group. A cache group puts the modules it matches into a separate
+ * chunk:
+ *
+ *   test      — RegExp, function(filePath) or path prefix; matches all
+ *               modules when left out
+ *   chunks    — which chunks modules are taken from: "async" (lazy
+ *               chunks), "initial" (entry chunks) or "all"
+ *   minChunks — a module must be in at least this many of those chunks
+ *   minSize   — a split chunk smaller than this (bytes of source) is not
+ *               created, and its modules stay where they were
+ *   priority  — when several groups match a module, the highest wins
+ *   name      — one chunk with this ID for all the group's modules; without
+ *               it, modules used by the same set of chunks form one chunk,
+ *               named "<idHint>_<first module>"
+ *   idHint    — prefix of those chunk IDs (defaults to the group's key)
+ *
+ * The "default" group is the shared chunk extraction of modules used by
+ * two or more lazy chunks. Setting a cache group to false removes it.
  */
-function buildDependencyGraph(entryPath) {
+const DEFAULT_SPLIT_CHUNKS = {
+  chunks: 'async',
+  minSize: 0,
+  minChunks: 1,
+  cacheGroups: {
+    default: { minChunks: 2, priority: -20, idHint: 'shared' },
+  },
+};
+
+/**
+ * Build the full dependency graph starting from an entry file (or an array
+ * of entry files). Resolves to a Map of absolute paths to ModuleInfo objects.
+ *
+ * options.resolve is passed through to resolveModule() (alias, extensions,
+ * mainFields, mainFiles, modules), options.assets to parseModule() (types,
+ * inlineLimit). Each file is run through the loaders of the matching
+ * options.rules before it is parsed (see runLoaders). options.hooks (see
+ * createHooks) get beforeParse / afterParse for each file and afterGraph
+ * for the result. Non-fatal problems are pushed onto options.warnings when
+ * it is given.
+ */
+async function buildDependencyGraph(entryPaths, options = {}) {
+  const resolveOptions = options.resolve || {};
+  const warnings = options.warnings || [];
+  const hooks = options.hooks || createHooks();
+  const requireResolveOptions = {
+    ...resolveOptions,
+    conditionNames: toRequireConditions(
+      resolveOptions.conditionNames || DEFAULT_RESOLVE_OPTIONS.conditionNames
+    ),
+  };
   const graph = new Map();
-  const queue = [entryPath];
+  const queue = [].concat(entryPaths);
 
   while (queue.length > 0) {
     const filePath = queue.shift();
 
     if (graph.has(filePath)) continue;
 
-    const moduleInfo = parseModule(filePath);
+    await hooks.beforeParse.promise(filePath);
+    const loaded = await runLoaders(filePath, options.rules, { warnings });
+    const moduleInfo = parseModule(filePath, {
+      assets: options.assets,
+      source: loaded ? loaded.source : undefined,
+      sourceMap: loaded ? loaded.map : null,
+    });
+    // Extra files the loaders read (this.addDependency), e.g. for a watcher
+    moduleInfo.fileDependencies = loaded ? loaded.dependencies : [];
+    await hooks.afterParse.promise(moduleInfo);
     graph.set(filePath, moduleInfo);
 
     // Follow static imports
     for (const imp of moduleInfo.imports) {
-      const resolved = resolveModule(imp.source, path.dirname(filePath));
+      const resolved = resolveModule(imp.source, path.dirname(filePath), resolveOptions);
       imp.resolvedPath = resolved;
       if (!graph.has(resolved)) {
         queue.push(resolved);
       }
     }
 
+    // Follow re-exports (export { a } from / export * from)
+    for (const reexport of moduleInfo.reexports) {
+      const resolved = resolveModule(reexport.source, path.dirname(filePath), resolveOptions);
+      reexport.resolvedPath = resolved;
+      if (!graph.has(resolved)) {
+        queue.push(resolved);
+      }
+    }
+
+    // Follow CommonJS require() calls
+    for (const req of moduleInfo.requires) {
+      const resolved = resolveModule(req.source, path.dirname(filePath), requireResolveOptions);
+      req.resolvedPath = resolved;
+      if (!graph.has(resolved)) {
+        queue.push(resolved);
+      }
+    }
+
+    // Resolve import.meta.resolve('./x.js') targets (they are not bundled)
+    for (const meta of moduleInfo.importMeta) {
+      if (!meta.call || meta.call.source === null) continue;
+      try {
+        meta.call.resolvedPath = resolveModule(meta.call.source, path.dirname(filePath), resolveOptions);
+      } catch (err) {
+        warnings.push(
+          `${filePath}: import.meta.resolve("${meta.call.source}") could not be resolved ` +
+          `at build time and will be resolved against the module URL at runtime.`
+        );
+      }
+    }
+
     // Follow dynamic imports
     for (const dyn of moduleInfo.dynamicImports) {
+      for (const error of dyn.magicCommentErrors) {
+        warnings.push(`${filePath} (${dyn.node.loc.start.line}:${dyn.node.loc.start.column}): ${error}`);
+      }
+
       if (dyn.source) {
-        const resolved = resolveModule(dyn.source, path.dirname(filePath));
+        const resolved = resolveModule(dyn.source, path.dirname(filePath), resolveOptions);
         dyn.resolvedPath = resolved;
         if (!graph.has(resolved)) {
           queue.push(resolved);
         }
+      } else if (dyn.context) {
+        // Context module: every file the pattern can match gets its own chunk
+        dyn.contextMatches = findContextMatches(dyn.context, path.dirname(filePath));
+        for (const match of dyn.contextMatches) {
+          if (!graph.has(match.resolvedPath)) {
+            queue.push(match.resolvedPath);
+          }
+        }
+      } else {
+        warnings.push(
+          `${filePath} (${dyn.node.loc.start.line}:${dyn.node.loc.start.column}): ` +
+          `import() with a fully dynamic expression can't be bundled and was left as-is.`
+        );
+      }
+    }
+
+    // Follow new URL('./x.png', import.meta.url) asset references
+    for (const assetUrl of moduleInfo.assetUrls) {
+      const resolved = resolveModule(assetUrl.source, path.dirname(filePath), resolveOptions);
+      assetUrl.resolvedPath = resolved;
+      if (!graph.has(resolved)) {
+        queue.push(resolved);
+      }
+    }
+
+    // Follow CSS @import rules and url() references
+    for (const dep of moduleInfo.cssDependencies) {
+      const resolved = resolveModule(dep.source, path.dirname(filePath), resolveOptions);
+      dep.resolvedPath = resolved;
+      if (!graph.has(resolved)) {
+        queue.push(resolved);
+      }
+    }
+
+    // Expand import.meta.glob() patterns against the file system
+    for (const glob of moduleInfo.globImports) {
+      glob.matches = findGlobMatches(glob.patterns, path.dirname(filePath));
+      for (const match of glob.matches) {
+        if (!graph.has(match.resolvedPath)) {
+          queue.push(match.resolvedPath);
+        }
       }
     }
   }
 
+  checkReferencedModuleTypes(graph);
+
+  markUsedExports(graph, [].concat(entryPaths));
+  markAmbiguousStarExports(graph, warnings);
+  markAsyncModules(graph);
+
+  await hooks.afterGraph.promise(graph);
+
   return graph;
 }
 
+/**
+ * URL references (new URL(..., import.meta.url), CSS url()) can only point
+ * at asset modules, and CSS @import only at CSS modules.
+ */
+function checkReferencedModuleTypes(graph) {
+  const check = (filePath, reference, resolvedPath, expectedType) => {
+    if (graph.get(resolvedPath).moduleType !== expectedType) {
+      throw new Error(
+        `${filePath}: ${reference} must point at a${expectedType === 'asset' ? 'n' : ''} ${expectedType} file, ` +
+        `but ${resolvedPath} is not one.`
+      );
+    }
+  };
+
+  for (const [filePath, info] of graph) {
+    for (const assetUrl of info.assetUrls) {
+      check(filePath, `new URL("${assetUrl.source}", import.meta.url)`, assetUrl.resolvedPath, 'asset');
+    }
+    for (const dep of info.cssDependencies) {
+      if (dep.kind === 'url') {
+        check(filePath, `url(${dep.source})`, dep.resolvedPath, 'asset');
+      } else {
+        check(filePath, `@import "${dep.source}"`, dep.resolvedPath, 'css');
+      }
+    }
+  }
+}
+
+/**
+ * A module is async (webpack: async module) when it uses top-level await, or
+ * when anything it statically imports or re-exports is async — it can't run
+ * its body before those dependencies have finished evaluating.
+ * require() doesn't propagate: it returns the exports without waiting.
+ */
+function markAsyncModules(graph) {
+  for (const [, info] of graph) {
+    info.isAsync = info.hasTopLevelAwait;
+  }
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const [, info] of graph) {
+      if (info.isAsync) continue;
+      const deps = [...info.imports, ...info.reexports, ...getEagerGlobMatches(info)];
+      if (deps.some(dep => graph.get(dep.resolvedPath).isAsync)) {
+        info.isAsync = true;
+        changed = true;
+      }
+    }
+  }
+}
+
+/**
+ * Record which exports of each ES and JSON module are used anywhere in the
+ * graph (webpack: optimization.usedExports), so the transformer can drop
+ * the rest. info.usedExports is a Set of export names, or null when every
+ * export counts as used: for entry modules, modules loaded with require()
+ * or import(), and when a namespace object is used as a whole.
+ *
+ * A namespace import only uses the members it reads (`math.add`). Names
+ * used from a module re-export on to where they come from: through
+ * `export { a } from`, and through `export * from` for names the module
+ * doesn't define itself.
+ */
+function markUsedExports(graph, entryPaths) {
+  const used = new Map(); // absolute path → Set<name> | null
+  for (const [filePath, info] of graph) {
+    if (info.moduleType === 'esm' || info.moduleType === 'json') used.set(filePath, new Set());
+  }
+  const useAll = (filePath) => {
+    if (used.has(filePath)) used.set(filePath, null);
+  };
+  const useName = (filePath, name) => {
+    const names = used.get(filePath);
+    if (names) names.add(name);
+  };
+
+  for (const entryPath of entryPaths) useAll(entryPath);
+
+  for (const [, info] of graph) {
+    for (const imp of info.imports) {
+      for (const spec of imp.specifiers) {
+        if (spec.imported !== '*') {
+          useName(imp.resolvedPath, spec.imported);
+          continue;
+        }
+        const members = getNamespaceMembers(info, spec.local);
+        if (members === null) {
+          useAll(imp.resolvedPath);
+        } else {
+          for (const member of members) useName(imp.resolvedPath, member);
+        }
+      }
+    }
+    for (const glob of info.globImports.filter(g => g.eager)) {
+      for (const match of glob.matches) {
+        if (glob.importName) useName(match.resolvedPath, glob.importName);
+        else useAll(match.resolvedPath);
+      }
+    }
+    const lazyTargets = getLazyImports(info).flatMap(getDynamicTargets);
+    for (const dep of [...info.requires, ...lazyTargets]) {
+      useAll(dep.resolvedPath);
+    }
+  }
+
+  // Follow re-exports until nothing changes
+  let changed = true;
+  while (changed) {
+    changed = false;
+    const mark = (filePath, name) => {
+      const names = used.get(filePath);
+      if (names === undefined || names === null || (name !== null && names.has(name))) return;
+      if (name === null) used.set(filePath, null);
+      else names.add(name);
+      changed = true;
+    };
+
+    for (const [filePath, info] of graph) {
+      if (!used.has(filePath)) continue;
+      const names = used.get(filePath);
+      const isUsed = (name) => names === null || names.has(name);
+
+      for (const exp of info.exports.named) {
+        if (!exp.reexport || !isUsed(exp.exported)) continue;
+        mark(exp.reexport.resolvedPath, exp.local === '*' ? null : exp.local);
+      }
+      // export * from — the names this module doesn't define itself
+      const ownNames = new Set(info.exports.named.map(exp => exp.exported));
+      if (info.exports.hasDefault) ownNames.add('default');
+      for (const reexport of info.reexports.filter(r => r.star)) {
+        if (names === null) {
+          mark(reexport.resolvedPath, null);
+          continue;
+        }
+        for (const name of names) {
+          if (!ownNames.has(name) && name !== 'default') mark(reexport.resolvedPath, name);
+        }
+      }
+    }
+  }
+
+  for (const [filePath, names] of used) {
+    graph.get(filePath).usedExports = names;
+  }
+}
+
+// resolveExport() result for a name that several star exports provide
+const AMBIGUOUS = 'ambiguous';
+
+/**
+ * Find the names that several `export * from` modules of a module provide
+ * with different bindings. As in ES modules (and webpack), such a name is
+ * ambiguous: it is left out of the module's exports, so a namespace object
+ * doesn't have it. info.ambiguousStarExports lists them for the transformer
+ * (loadModule.exportStar skips them); each conflict is reported as a
+ * warning. Only ES and JSON modules are checked — what a CommonJS module
+ * exports is only known at runtime.
+ */
+function markAmbiguousStarExports(graph, warnings) {
+  for (const [filePath, info] of graph) {
+    info.ambiguousStarExports = [];
+    const starSources = info.reexports
+      .filter(reexport => reexport.star && hasStaticExports(graph.get(reexport.resolvedPath)))
+      .map(reexport => reexport.resolvedPath);
+    if (info.moduleType !== 'esm' || starSources.length < 2) continue;
+
+    const starNames = new Set(starSources.flatMap(source => getExportedNames(graph, source, new Set())));
+    for (const name of starNames) {
+      if (resolveExport(graph, filePath, name) !== AMBIGUOUS) continue;
+      info.ambiguousStarExports.push(name);
+
+      const providers = starSources.filter(source => isBinding(resolveExport(graph, source, name)));
+      warnings.push(
+        `${filePath}: "${name}" is exported by several "export * from" modules ` +
+        `(${providers.map(source => path.basename(source)).join(', ')}) and is left out as ambiguous.`
+      );
+    }
+  }
+}
+
+function hasStaticExports(info) {
+  return Boolean(info) && (info.moduleType === 'esm' || info.moduleType === 'json');
+}
+
+/**
+ * The names a module exports through `export * from` — its own and those
+ * of its star re-exports, except "default", which `export *` never forwards.
+ */
+function getExportedNames(graph, filePath, visited) {
+  const info = graph.get(filePath);
+  if (visited.has(filePath) || !hasStaticExports(info)) return [];
+  visited.add(filePath);
+
+  const names = info.exports.named.map(exp => exp.exported).filter(name => name !== 'default');
+  for (const reexport of info.reexports.filter(r => r.star)) {
+    names.push(...getExportedNames(graph, reexport.resolvedPath, visited));
+  }
+  return names;
+}
+
+function isBinding(resolution) {
+  return resolution !== null && resolution !== AMBIGUOUS;
+}
+
+/**
+ * Where an export of a module comes from (the ES ResolveExport operation):
+ * { filePath, name } of the binding, null when the module doesn't export
+ * the name, or AMBIGUOUS. A name that is ambiguous in a star re-exported
+ * module counts as not exported by it, as in V8: that module's namespace
+ * doesn't have it.
+ */
+function resolveExport(graph, filePath, name, seen = new Set()) {
+  const info = graph.get(filePath);
+  const key = `${filePath}\0${name}`;
+  if (seen.has(key)) return null; // circular re-export
+  seen.add(key);
+  if (!hasStaticExports(info)) return { filePath, name };
+
+  if (name === 'default' && info.exports.hasDefault && info.exports.defaultType !== 'specifier') {
+    return { filePath, name: 'default' };
+  }
+  const named = info.exports.named.find(exp => exp.exported === name);
+  if (named && !named.reexport) return { filePath, name: named.local };
+  if (named) {
+    return named.local === '*'
+      ? { filePath: named.reexport.resolvedPath, name: '*' }
+      : resolveExport(graph, named.reexport.resolvedPath, named.local, seen);
+  }
+  if (name === 'default') return null;
+
+  let found = null;
+  for (const reexport of info.reexports.filter(r => r.star)) {
+    if (!hasStaticExports(graph.get(reexport.resolvedPath))) continue;
+    const resolution = resolveExport(graph, reexport.resolvedPath, name, seen);
+    if (!isBinding(resolution)) continue;
+    if (found && (found.filePath !== resolution.filePath || found.name !== resolution.name)) return AMBIGUOUS;
+    found = resolution;
+  }
+  return found;
+}
+
+/**
+ * The members a module reads from a namespace import
+ * (`import * as math` … `math.add`, `math["PI"]`), or null when the
+ * namespace object itself is used (passed around, exported, spread, ...).
+ */
+function getNamespaceMembers(info, localName) {
+  const exported = info.exports.named.some(exp => !exp.reexport && exp.local === localName);
+  if (exported) return null;
+
+  const { parents, references } = analyzeScopes(info.ast);
+  const members = new Set();
+  for (const { node, scope } of references) {
+    if (node.name !== localName || scope !== info.ast) continue;
+    const parent = parents.get(node);
+    if (parent.type !== 'MemberExpression' || parent.object !== node) return null;
+    if (!parent.computed) {
+      members.add(parent.property.name);
+    } else if (parent.property.type === 'Literal' && typeof parent.property.value === 'string') {
+      members.add(parent.property.value);
+    } else {
+      return null;
+    }
+  }
+  return members;
+}
+
+/**
+ * List the files a context module can load: every file below the context
+ * directory whose relative path matches the pattern.
+ * Returns [{ request, resolvedPath }], where request is the runtime value
+ * of the import() argument, e.g. "./locales/en.js".
+ */
+function findContextMatches(context, fromDir) {
+  const directory = path.resolve(fromDir, context.directory);
+  if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+    throw new Error(
+      `Context directory "${context.directory}" for a dynamic import() does not exist (from "${fromDir}").`
+    );
+  }
+
+  const pattern = new RegExp(context.pattern);
+  const matches = [];
+
+  const visit = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (entry.name !== 'node_modules') visit(entryPath);
+      } else if (entry.isFile()) {
+        const relative = path.relative(directory, entryPath).split(path.sep).join('/');
+        if (pattern.test(relative)) {
+          matches.push({ request: context.directory + relative, resolvedPath: entryPath });
+        }
+      }
+    }
+  };
+  visit(directory);
+
+  return matches;
+}
+
+/**
+ * List the files matched by import.meta.glob() patterns, in path order.
+ * Returns [{ request, resolvedPath }], where request is the file's path
+ * relative to the importing module, written like the pattern ("./plugins/a.js").
+ */
+function findGlobMatches(patterns, fromDir) {
+  const include = patterns.filter(pattern => !pattern.startsWith('!')).map(globToRegExp);
+  const exclude = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => globToRegExp(pattern.slice(1)));
+  const matches = new Map(); // resolvedPath → request
+
+  for (const pattern of patterns.filter(pattern => !pattern.startsWith('!'))) {
+    // Only walk the static part of the pattern: "./plugins/*.js" → ./plugins
+    const dirSegments = pattern.split('/').slice(0, -1);
+    const firstWildcard = dirSegments.findIndex(segment => /[*?{]/.test(segment));
+    const staticSegments = firstWildcard === -1 ? dirSegments : dirSegments.slice(0, firstWildcard);
+    const baseDir = path.resolve(fromDir, staticSegments.join('/'));
+    if (!fs.existsSync(baseDir) || !fs.statSync(baseDir).isDirectory()) continue;
+
+    const visit = (dir) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (entry.name !== 'node_modules') visit(entryPath);
+        } else if (entry.isFile() && !matches.has(entryPath)) {
+          let request = path.relative(fromDir, entryPath).split(path.sep).join('/');
+          if (!request.startsWith('../')) request = './' + request;
+          if (include.some(re => re.test(request)) && !exclude.some(re => re.test(request))) {
+            matches.set(entryPath, request);
+          }
+        }
+      }
+    };
+    visit(baseDir);
+  }
+
+  return [...matches]
+    .map(([resolvedPath, request]) => ({ request, resolvedPath }))
+    .sort((a, b) => a.request.localeCompare(b.request));
+}
+
+/**
+ * Convert a glob to a RegExp: "*" and "?" stay within one path segment,
+ * "**" spans directories, and "{a,b}" matches either alternative.
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (glob.startsWith('**/', i)) {
+      source += '(?:.*/)?';
+      i += 2;
+    } else if (glob.startsWith('**', i)) {
+      source += '.*';
+      i += 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = glob.indexOf('}', i);
+      const alternatives = glob.slice(i + 1, end).split(',');
+      source += '(?:' + alternatives.map(alt => alt.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|') + ')';
+      i = end;
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp('^' + source + '$');
+}
+
+/**
+ * require() resolves package "exports" with the "require" condition in
+ * place of "import".
+ */
+function toRequireConditions(conditionNames) {
+  const conditions = conditionNames.filter(name => name !== 'import');
+  return conditions.includes('require') ? conditions : ['require', ...conditions];
+}
+
+/**
+ * All dependencies that are bundled into the same chunk as the module:
+ * static imports, re-exports, require() calls, new URL() assets, CSS
+ * @import and url() references, and eager dynamic imports and globs.
+ */
+function getStaticDependencies(info) {
+  const eagerTargets = info.dynamicImports
+    .filter(dyn => dyn.mode === 'eager')
+    .flatMap(getDynamicTargets);
+  return [
+    ...info.imports,
+    ...info.reexports,
+    ...info.requires,
+    ...info.assetUrls,
+    ...info.cssDependencies,
+    ...eagerTargets,
+    ...getEagerGlobMatches(info),
+  ];
+}
+
+/**
+ * Everything that loads modules on demand: dynamic import() calls and
+ * lazy import.meta.glob() calls.
+ */
+function getLazyImports(info) {
+  return [...info.dynamicImports, ...info.globImports.filter(glob => !glob.eager)];
+}
+
+/**
+ * The files of `{ eager: true }` import.meta.glob() calls, which are
+ * imported like static dependencies.
+ */
+function getEagerGlobMatches(info) {
+  return info.globImports.filter(glob => glob.eager).flatMap(glob => glob.matches);
+}
+
+/**
+ * The modules a lazy import can load: its single target, every match of a
+ * context module, or every file of an import.meta.glob().
+ */
+function getDynamicTargets(dyn) {
+  if (dyn.resolvedPath) return [dyn];
+  return dyn.contextMatches || dyn.matches || [];
+}
+
 /**
  * Convert an absolute file path to a module ID (relative to project root).
  * Example: /home/user/project/src/utils/math.js → "./src/utils/math.js"
@@ -54,6 +628,7 @@ function toModuleId(absolutePath, projectRoot) {
 /**
  * Convert a module ID to a chunk ID.
  * Example: "./src/feature-a.js" → "src_feature-a_js"
+ * Different module IDs can give the same chunk ID; see claimChunkId().
  */
 function toChunkId(moduleId) {
   return moduleId
@@ -66,16 +641,32 @@ function toChunkId(moduleId) {
 /**
  * Identify chunks from the dependency graph.
  *
+ * entries maps entry names to entry files ({ app: '/abs/app.js' }); a single
+ * path is the entry "main". Each entry gets an entry chunk named after it.
+ *
+ * options.splitChunks (see DEFAULT_SPLIT_CHUNKS) moves modules into split
+ * chunks by cache group; false turns this off, so modules used by several
+ * lazy chunks stay in each of them. With
+ * options.runtimeChunk === 'single', the runtime goes into its own
+ * "runtime" chunk shared by all entry chunks.
+ *
  * Returns:
  * {
- *   mainChunk: { id: 'main', moduleIds: Set<string> },
- *   lazyChunks: Map<chunkId, { id: string, moduleIds: Set<string>, entryModuleId: string }>,
+ *   entryChunks: Map<name, { id: string, moduleIds: Set<string>, entryModuleId: string,
+ *                            dependsOn: string[] (split chunks to load first) }>,
+ *   runtimeChunk: { id: 'runtime', moduleIds: Set<string> } | null,
+ *   lazyChunks: Map<chunkId, { id: string, moduleIds: Set<string>, entryModuleIds: Set<string> }>,
  *   chunkGroupMap: { [chunkId]: string[] },
  *   modules: Map<moduleId, transformedModuleInfo>,
  * }
  */
-function identifyChunks(graph, entryPath, projectRoot) {
-  const entryModuleId = toModuleId(entryPath, projectRoot);
+function identifyChunks(graph, entries, projectRoot, options = {}) {
+  if (typeof entries === 'string') {
+    entries = { main: entries };
+  }
+  const runtimeChunk = options.runtimeChunk === 'single'
+    ? { id: 'runtime', moduleIds: new Set() }
+    : null;
 
   // Map absolute paths → module IDs, and build a moduleId-keyed info map
   const modules = new Map();
@@ -85,71 +676,87 @@ function identifyChunks(graph, entryPath, projectRoot) {
     modules.set(moduleId, info);
   }
 
-  // --- Step 1: Main chunk — BFS following only static imports from entry ---
-  const mainModuleIds = new Set();
-  const mainQueue = [entryModuleId];
-
-  while (mainQueue.length > 0) {
-    const modId = mainQueue.shift();
-    if (mainModuleIds.has(modId)) continue;
-    mainModuleIds.add(modId);
-
-    const info = modules.get(modId);
-    if (!info) continue;
-
-    for (const imp of info.imports) {
-      const depId = toModuleId(imp.resolvedPath, projectRoot);
-      if (!mainModuleIds.has(depId)) {
-        mainQueue.push(depId);
-      }
-    }
+  // --- Step 1: Entry chunks — BFS following only static imports from each entry ---
+  // (a module imported by several entries is in each of their chunks)
+  const entryChunks = new Map();
+  for (const [name, entryPath] of Object.entries(entries)) {
+    const entryModuleId = toModuleId(entryPath, projectRoot);
+    entryChunks.set(name, {
+      id: name,
+      moduleIds: collectChunkModules([entryModuleId], modules, projectRoot, new Set()),
+      entryModuleId,
+    });
   }
 
   // --- Step 2: Lazy chunks — each dynamic import starts a new chunk ---
+  // (imports with the same webpackChunkName share one; eager imports have none)
   const lazyChunks = new Map();
-  const dynamicEntryPoints = new Map(); // moduleId → chunkId
+  const dynamicEntryPoints = new Map(); // chunkId → Set of entry module IDs
+  const chunkIdOwners = new Map(); // chunkId → what the ID was derived from (see claimChunkId)
 
-  // Collect all dynamic import targets
+  // Collect all dynamic import targets, and store the target's module ID
+  // and chunk ID on each dynamic import (and on each match of a context module)
   for (const [, info] of modules) {
-    for (const dyn of info.dynamicImports) {
-      if (dyn.resolvedPath) {
-        const targetId = toModuleId(dyn.resolvedPath, projectRoot);
-        const chunkId = toChunkId(targetId);
-        dynamicEntryPoints.set(targetId, chunkId);
+    for (const dyn of getLazyImports(info)) {
+      for (const target of getDynamicTargets(dyn)) {
+        const targetId = toModuleId(target.resolvedPath, projectRoot);
+        const chunk = getDynamicChunkId(info, dyn, target, targetId, projectRoot);
+        const chunkId = chunk && claimChunkId(chunk.id, chunk.owner, chunkIdOwners);
+        target.targetModuleId = targetId;
+        target.chunkId = chunkId;
+        if (chunkId === null) continue;
+
+        if (entryChunks.has(chunkId) || (runtimeChunk && chunkId === runtimeChunk.id)) {
+          throw new Error(
+            `Chunk name "${chunkId}" used by a dynamic import in ${info.filePath} is reserved for the ` +
+            `${entryChunks.has(chunkId) ? 'entry' : 'runtime'} chunk.`
+          );
+        }
+        if (!dynamicEntryPoints.has(chunkId)) {
+          dynamicEntryPoints.set(chunkId, new Set());
+        }
+        dynamicEntryPoints.get(chunkId).add(targetId);
       }
     }
   }
 
-  // For each dynamic entry, BFS following static imports, excluding main chunk modules
-  for (const [targetModuleId, chunkId] of dynamicEntryPoints) {
-    const chunkModuleIds = new Set();
-    const queue = [targetModuleId];
-
-    while (queue.length > 0) {
-      const modId = queue.shift();
-      if (chunkModuleIds.has(modId) || mainModuleIds.has(modId)) continue;
-      chunkModuleIds.add(modId);
+  // A lazy chunk can leave out the modules that every entry chunk which
+  // may load it already has — with one entry, simply that entry's modules
+  const reachableChunkIds = new Map(); // entry name → Set of lazy chunk IDs
+  for (const [name, chunk] of entryChunks) {
+    reachableChunkIds.set(name, findReachableChunkIds(chunk.entryModuleId, modules, projectRoot));
+  }
 
-      const info = modules.get(modId);
-      if (!info) continue;
+  // For each chunk, BFS from its entries following static imports, excluding
+  // the modules its entry chunks provide
+  for (const [chunkId, entryModuleIds] of dynamicEntryPoints) {
+    const parents = [...entryChunks.values()].filter(chunk => reachableChunkIds.get(chunk.id).has(chunkId));
+    const available = parents.length === 0
+      ? new Set()
+      : new Set([...parents[0].moduleIds].filter(modId => parents.every(chunk => chunk.moduleIds.has(modId))));
 
-      for (const imp of info.imports) {
-        const depId = toModuleId(imp.resolvedPath, projectRoot);
-        if (!chunkModuleIds.has(depId) && !mainModuleIds.has(depId)) {
-          queue.push(depId);
-        }
+    const moduleIds = collectChunkModules([...entryModuleIds], modules, projectRoot, available);
+    // Nothing left to load: the entry chunks already have every module
+    // (statically imported too, or in an eager glob). The import()
+    // then just uses the loaded module, without a chunk (chunkId null)
+    if (moduleIds.size === 0) continue;
+    lazyChunks.set(chunkId, { id: chunkId, moduleIds, entryModuleIds });
+  }
+  for (const [, info] of modules) {
+    for (const dyn of getLazyImports(info)) {
+      for (const target of getDynamicTargets(dyn)) {
+        if (target.chunkId !== null && !lazyChunks.has(target.chunkId)) target.chunkId = null;
       }
     }
-
-    lazyChunks.set(chunkId, {
-      id: chunkId,
-      moduleIds: chunkModuleIds,
-      entryModuleId: targetModuleId,
-    });
   }
 
-  // --- Step 3: Split shared modules into separate chunks ---
-  const { updatedLazyChunks, sharedChunks } = splitSharedModules(lazyChunks);
+  // --- Step 3: Split modules into separate chunks by cache group ---
+  const { updatedEntryChunks, updatedLazyChunks, sharedChunks } = options.splitChunks === false
+    ? { updatedEntryChunks: entryChunks, updatedLazyChunks: lazyChunks, sharedChunks: new Map() }
+    : splitChunksByCacheGroups(entryChunks, lazyChunks, modules, normalizeSplitChunks(options.splitChunks), {
+      runtimeChunk,
+      chunkIdOwners,
+    });
 
   // --- Step 4: Build ChunkGroup map ---
   // Each dynamic import's chunk ID maps to all chunk IDs needed (shared + own)
@@ -166,26 +773,29 @@ function identifyChunks(graph, entryPath, projectRoot) {
       }
     }
 
-    neededChunks.push(chunkId);
+    // A chunk whose modules all went into split chunks is not emitted: its
+    // imports only load those
+    if (chunk.moduleIds.size > 0) {
+      neededChunks.push(chunkId);
+    } else {
+      updatedLazyChunks.delete(chunkId);
+    }
     chunkGroupMap[chunkId] = neededChunks;
   }
 
-  // Store dynamic import → chunk ID mapping on each dynamic import node
-  for (const [, info] of modules) {
-    for (const dyn of info.dynamicImports) {
-      if (dyn.resolvedPath) {
-        const targetId = toModuleId(dyn.resolvedPath, projectRoot);
-        dyn.targetModuleId = targetId;
-        dyn.chunkId = toChunkId(targetId);
-      }
-    }
+  // An entry chunk depends on the split chunks that took some of its modules
+  for (const [chunkId, chunk] of updatedEntryChunks) {
+    chunk.dependsOn = [...sharedChunks.values()]
+      .filter(sharedChunk => sharedChunk.originalChunks.has(chunkId))
+      .map(sharedChunk => sharedChunk.id);
   }
 
   // Merge shared chunks into the full set of lazy chunks for output
   const allLazyChunks = new Map([...updatedLazyChunks, ...sharedChunks]);
 
   return {
-    mainChunk: { id: 'main', moduleIds: mainModuleIds },
+    entryChunks: updatedEntryChunks,
+    runtimeChunk,
     lazyChunks: allLazyChunks,
     chunkGroupMap,
     modules,
@@ -194,75 +804,243 @@ function identifyChunks(graph, entryPath, projectRoot) {
 }
 
 /**
- * Find modules that appear in 2+ lazy chunks and extract them into shared chunks.
+ * BFS from the given modules following static imports, skipping the
+ * `excluded` modules (those another chunk already provides).
+ * Returns the Set of module IDs in BFS order.
  */
-function splitSharedModules(lazyChunks) {
-  // Count how many lazy chunks each module appears in
-  const moduleCounts = new Map();
-  for (const [chunkId, chunk] of lazyChunks) {
-    for (const modId of chunk.moduleIds) {
-      if (!moduleCounts.has(modId)) {
-        moduleCounts.set(modId, new Set());
+function collectChunkModules(startIds, modules, projectRoot, excluded) {
+  const chunkModuleIds = new Set();
+  const queue = [...startIds];
+
+  while (queue.length > 0) {
+    const modId = queue.shift();
+    if (chunkModuleIds.has(modId) || excluded.has(modId)) continue;
+    chunkModuleIds.add(modId);
+
+    const info = modules.get(modId);
+    if (!info) continue;
+
+    for (const dep of getStaticDependencies(info)) {
+      const depId = toModuleId(dep.resolvedPath, projectRoot);
+      if (!chunkModuleIds.has(depId) && !excluded.has(depId)) {
+        queue.push(depId);
       }
-      moduleCounts.get(modId).add(chunkId);
     }
   }
 
-  // Find modules shared by 2+ chunks
-  const sharedModules = new Map(); // moduleId → Set of chunk IDs that use it
-  for (const [modId, chunks] of moduleCounts) {
-    if (chunks.size >= 2) {
-      sharedModules.set(modId, chunks);
+  return chunkModuleIds;
+}
+
+/**
+ * The IDs of every lazy chunk that can be loaded, directly or through other
+ * lazy chunks, once the given entry module runs. Needs the chunkId /
+ * targetModuleId that identifyChunks() stores on dynamic import targets.
+ */
+function findReachableChunkIds(entryModuleId, modules, projectRoot) {
+  const chunkIds = new Set();
+  const visited = new Set();
+  const queue = [entryModuleId];
+
+  while (queue.length > 0) {
+    const modId = queue.shift();
+    if (visited.has(modId)) continue;
+    visited.add(modId);
+
+    const info = modules.get(modId);
+    if (!info) continue;
+
+    for (const dep of getStaticDependencies(info)) {
+      queue.push(toModuleId(dep.resolvedPath, projectRoot));
+    }
+    for (const dyn of getLazyImports(info)) {
+      for (const target of getDynamicTargets(dyn)) {
+        if (target.chunkId !== null) chunkIds.add(target.chunkId);
+        queue.push(target.targetModuleId);
+      }
     }
   }
 
-  if (sharedModules.size === 0) {
-    return { updatedLazyChunks: lazyChunks, sharedChunks: new Map() };
+  return chunkIds;
+}
+
+/**
+ * Pick the chunk a dynamic import target goes into:
+ *   - webpackMode "eager": none (null) — it's bundled with the importer
+ *   - webpackChunkName: that name; "[request]" in it is replaced by the
+ *     matched file of a context module ("locale-[request]" → "locale-en_js")
+ *   - webpackMode "lazy-once" on a context module: one chunk for all matches
+ *   - otherwise: a chunk named after the target module
+ *
+ * Returns { id, owner } (see claimChunkId), or null.
+ */
+function getDynamicChunkId(info, dyn, target, targetId, projectRoot) {
+  if (dyn.mode === 'eager') return null;
+
+  if (dyn.chunkName) {
+    const request = target.request ? toChunkId(target.request.slice(dyn.context.directory.length)) : '';
+    return { id: dyn.chunkName.replace(/\[request\]/g, request), owner: null };
+  }
+
+  if (dyn.mode === 'lazy-once' && dyn.context) {
+    const contextId = toModuleId(path.resolve(path.dirname(info.filePath), dyn.context.directory), projectRoot);
+    return { id: toChunkId(contextId) + '_lazy-once', owner: contextId };
+  }
+
+  return { id: toChunkId(targetId), owner: targetId };
+}
+
+/**
+ * Reserve a chunk ID. The owner is the module ID (or context directory) an
+ * automatic ID was derived from, or null for a webpackChunkName, which any
+ * number of imports may share.
+ *
+ * toChunkId() is not one-to-one — "a/b.js" and "a_b.js" both give "a_b_js"
+ * — so when a second owner derives an ID that is taken, it gets a hash of
+ * its module ID appended instead of silently sharing (and overwriting) the
+ * first one's chunk. A webpackChunkName that equals an automatic ID is an
+ * error. Returns the ID to use.
+ */
+function claimChunkId(chunkId, owner, owners) {
+  if (!owners.has(chunkId)) {
+    owners.set(chunkId, owner);
+    return chunkId;
+  }
+  const current = owners.get(chunkId);
+  if (current === owner) return chunkId;
+  if (owner === null || current === null) {
+    throw new Error(
+      `Chunk name "${chunkId}" is also the generated chunk ID of ${owner || current}. Choose another webpackChunkName.`
+    );
+  }
+  const hash = crypto.createHash('md5').update(owner).digest('hex').slice(0, 8);
+  return claimChunkId(`${chunkId}_${hash}`, owner, owners);
+}
+
+/**
+ * Fill in the defaults of an optimization.splitChunks value (true or an
+ * object): every cache group gets the top-level chunks / minSize /
+ * minChunks unless it sets its own.
+ */
+function normalizeSplitChunks(splitChunks) {
+  const config = splitChunks === true || splitChunks === undefined ? {} : splitChunks;
+  const defaults = {
+    chunks: config.chunks || DEFAULT_SPLIT_CHUNKS.chunks,
+    minSize: config.minSize !== undefined ? config.minSize : DEFAULT_SPLIT_CHUNKS.minSize,
+    minChunks: config.minChunks !== undefined ? config.minChunks : DEFAULT_SPLIT_CHUNKS.minChunks,
+    priority: 0,
+  };
+
+  const cacheGroups = [];
+  for (const [key, group] of Object.entries({ ...DEFAULT_SPLIT_CHUNKS.cacheGroups, ...config.cacheGroups })) {
+    if (group === false) continue;
+    cacheGroups.push({ key, idHint: key, ...defaults, ...group });
   }
+  // Highest priority first (sort is stable, so ties keep definition order)
+  cacheGroups.sort((a, b) => b.priority - a.priority);
+  return cacheGroups;
+}
 
-  // Group shared modules by the exact same set of chunks that use them
-  // (modules shared by the same pair of chunks go into the same shared chunk)
-  const groupKey = (chunkSet) => [...chunkSet].sort().join('|');
-  const groups = new Map(); // key → { moduleIds: Set, chunkIds: Set }
-  for (const [modId, chunkIds] of sharedModules) {
-    const key = groupKey(chunkIds);
-    if (!groups.has(key)) {
-      groups.set(key, { moduleIds: new Set(), chunkIds: new Set(chunkIds) });
+/**
+ * Move modules out of entry and lazy chunks into split chunks, one cache
+ * group at a time from the highest priority down. A module goes to the
+ * first group that matches it; if that group's chunk ends up smaller than
+ * minSize, its modules are left for the groups after it.
+ *
+ * Returns the entry and lazy chunks without the moved modules, and the
+ * split chunks. Each split chunk's originalChunks lists the chunks it took
+ * modules from — those chunks now need it loaded first.
+ */
+function splitChunksByCacheGroups(entryChunks, lazyChunks, modules, cacheGroups, { runtimeChunk, chunkIdOwners }) {
+  const chunkTypes = new Map();
+  for (const chunkId of entryChunks.keys()) chunkTypes.set(chunkId, 'initial');
+  for (const chunkId of lazyChunks.keys()) chunkTypes.set(chunkId, 'async');
+
+  // Which chunks contain each module (in chunk order: entries first)
+  const moduleChunks = new Map();
+  for (const chunk of [...entryChunks.values(), ...lazyChunks.values()]) {
+    for (const modId of chunk.moduleIds) {
+      if (!moduleChunks.has(modId)) {
+        moduleChunks.set(modId, []);
+      }
+      moduleChunks.get(modId).push(chunk.id);
     }
-    groups.get(key).moduleIds.add(modId);
   }
 
-  // Create shared chunks
+  const assigned = new Map(); // moduleId → split chunk it moved to
   const sharedChunks = new Map();
-  for (const [, group] of groups) {
-    // Name based on the first module in the group
-    const firstModId = [...group.moduleIds][0];
-    const sharedChunkId = 'shared_' + toChunkId(firstModId);
-
-    sharedChunks.set(sharedChunkId, {
-      id: sharedChunkId,
-      moduleIds: group.moduleIds,
-      entryModuleId: null, // shared chunks don't have an entry
-      originalChunks: group.chunkIds, // which lazy chunks originally contained these
-    });
+
+  for (const group of cacheGroups) {
+    // Candidate chunks of this group: one per name, or one per set of chunks
+    const candidates = new Map();
+    for (const [modId, chunkIds] of moduleChunks) {
+      if (assigned.has(modId)) continue;
+      const info = modules.get(modId);
+      if (group.test !== undefined && !(info && matchCondition(group.test, info.filePath))) continue;
+
+      const selected = chunkIds.filter(chunkId => group.chunks === 'all' || chunkTypes.get(chunkId) === group.chunks);
+      if (selected.length === 0 || selected.length < group.minChunks) continue;
+
+      const key = group.name || [...selected].sort().join('|');
+      if (!candidates.has(key)) {
+        candidates.set(key, { moduleIds: new Set(), originalChunks: new Set(), size: 0 });
+      }
+      const candidate = candidates.get(key);
+      candidate.moduleIds.add(modId);
+      selected.forEach(chunkId => candidate.originalChunks.add(chunkId));
+      candidate.size += getModuleSize(info);
+    }
+
+    for (const [, candidate] of candidates) {
+      if (candidate.size < group.minSize) continue;
+
+      // Name based on the first module in the group
+      const firstModId = [...candidate.moduleIds][0];
+      const sharedChunkId = group.name ||
+        claimChunkId(`${group.idHint}_${toChunkId(firstModId)}`, `${group.key}: ${firstModId}`, chunkIdOwners);
+      if (chunkTypes.has(sharedChunkId) || sharedChunks.has(sharedChunkId) ||
+          (runtimeChunk && sharedChunkId === runtimeChunk.id)) {
+        throw new Error(`Split chunk "${sharedChunkId}" of cache group "${group.key}" has the ID of another chunk.`);
+      }
+
+      sharedChunks.set(sharedChunkId, {
+        id: sharedChunkId,
+        moduleIds: candidate.moduleIds,
+        entryModuleIds: new Set(), // shared chunks don't have an entry
+        originalChunks: candidate.originalChunks, // which chunks originally contained these
+      });
+      for (const modId of candidate.moduleIds) {
+        assigned.set(modId, sharedChunkId);
+      }
+    }
   }
 
-  // Remove shared modules from their original lazy chunks
+  // Remove moved modules from the chunks they were taken from
+  const withoutMoved = (chunk) => ({
+    ...chunk,
+    moduleIds: new Set([...chunk.moduleIds].filter(modId =>
+      !assigned.has(modId) || !sharedChunks.get(assigned.get(modId)).originalChunks.has(chunk.id)
+    )),
+  });
+  const updatedEntryChunks = new Map();
+  for (const [chunkId, chunk] of entryChunks) {
+    updatedEntryChunks.set(chunkId, withoutMoved(chunk));
+  }
   const updatedLazyChunks = new Map();
   for (const [chunkId, chunk] of lazyChunks) {
-    const filteredModuleIds = new Set();
-    for (const modId of chunk.moduleIds) {
-      if (!sharedModules.has(modId)) {
-        filteredModuleIds.add(modId);
-      }
-    }
-    updatedLazyChunks.set(chunkId, {
-      ...chunk,
-      moduleIds: filteredModuleIds,
-    });
+    updatedLazyChunks.set(chunkId, withoutMoved(chunk));
   }
 
-  return { updatedLazyChunks, sharedChunks };
+  return { updatedEntryChunks, updatedLazyChunks, sharedChunks };
+}
+
+/**
+ * Size of a module for splitChunks minSize: its source, or the file
+ * content of an asset module.
+ */
+function getModuleSize(info) {
+  if (!info) return 0;
+  if (typeof info.source === 'string') return info.source.length;
+  return info.content ? info.content.length : 0;
 }
 
-module.exports = { buildDependencyGraph, identifyChunks, toModuleId, toChunkId };
+module.exports = { buildDependencyGraph, identifyChunks, toModuleId, toChunkId, DEFAULT_SPLIT_CHUNKS };
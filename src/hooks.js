@@ -0,0 +1,130 @@
+/**
+ * Plugin hooks (a small version of webpack's `tapable`).
+ *
+ * Plugins register callbacks ("taps") on the hooks of the build, and the
+ * bundler calls the hooks at each stage:
+ *
+ *   SyncHook                 — taps run in order; return values are ignored
+ *   SyncWaterfallHook        — each tap receives the previous tap's result
+ *                              as its first argument (undefined keeps it)
+ *   AsyncSeriesHook          — like SyncHook, but taps may be async
+ *   AsyncSeriesWaterfallHook — like SyncWaterfallHook, but taps may be async
+ *
+ * Every hook has tap(name, fn). Async hooks also have tapPromise(name, fn)
+ * for functions returning a Promise and tapAsync(name, fn) for functions
+ * taking a trailing (err, result) callback; they are run with
+ * hook.promise(...args), sync hooks with hook.call(...args).
+ */
+class Hook {
+  constructor(argNames = []) {
+    this.argNames = argNames;
+    this.taps = [];
+  }
+
+  tap(name, fn) {
+    this.taps.push({ name, type: 'sync', fn });
+  }
+}
+
+class SyncHook extends Hook {
+  call(...args) {
+    for (const tap of this.taps) {
+      tap.fn(...args);
+    }
+  }
+}
+
+class SyncWaterfallHook extends Hook {
+  call(value, ...rest) {
+    for (const tap of this.taps) {
+      const result = tap.fn(value, ...rest);
+      if (result !== undefined) value = result;
+    }
+    return value;
+  }
+}
+
+class AsyncHook extends Hook {
+  tapPromise(name, fn) {
+    this.taps.push({ name, type: 'promise', fn });
+  }
+
+  tapAsync(name, fn) {
+    this.taps.push({ name, type: 'async', fn });
+  }
+
+  runTap(tap, args) {
+    if (tap.type === 'async') {
+      return new Promise((resolve, reject) => {
+        tap.fn(...args, (err, result) => (err ? reject(err) : resolve(result)));
+      });
+    }
+    return Promise.resolve(tap.fn(...args));
+  }
+}
+
+class AsyncSeriesHook extends AsyncHook {
+  async promise(...args) {
+    for (const tap of this.taps) {
+      await this.runTap(tap, args);
+    }
+  }
+}
+
+class AsyncSeriesWaterfallHook extends AsyncHook {
+  async promise(value, ...rest) {
+    for (const tap of this.taps) {
+      const result = await this.runTap(tap, [value, ...rest]);
+      if (result !== undefined) value = result;
+    }
+    return value;
+  }
+}
+
+/**
+ * The hooks of one build, in pipeline order.
+ */
+function createHooks() {
+  return {
+    // buildDependencyGraph(): around parseModule() of each file
+    beforeParse: new AsyncSeriesHook(['filePath']),
+    afterParse: new AsyncSeriesHook(['moduleInfo']),
+    // buildDependencyGraph(): the finished graph (Map<absPath, ModuleInfo>)
+    afterGraph: new AsyncSeriesHook(['graph']),
+    // After identifyChunks(): return a changed chunkInfo, or edit its
+    // lazyChunks / chunkGroupMap in place
+    optimizeChunks: new SyncWaterfallHook(['chunkInfo']),
+    // generateBundles(): the main bundle's runtime section, as source text
+    runtime: new SyncWaterfallHook(['source', 'runtimeFeatures']),
+    // generateBundles(): each module's factory body, as source text
+    renderModule: new SyncWaterfallHook(['source', 'moduleInfo', 'chunkId']),
+    // Before writing: the [{ filename, content }] list of output files
+    emit: new AsyncSeriesWaterfallHook(['assets']),
+    // After writing the output files
+    done: new AsyncSeriesHook(['assets']),
+  };
+}
+
+/**
+ * Apply a plugin: an object with apply(compiler) (like webpack plugins) or
+ * a plain function(compiler).
+ */
+function applyPlugin(plugin, compiler) {
+  // Check for a function first: every function has an inherited .apply()
+  if (typeof plugin === 'function') {
+    plugin.call(compiler, compiler);
+  } else if (plugin && typeof plugin.apply === 'function') {
+    plugin.apply(compiler);
+  } else {
+    throw new Error(`Invalid plugin: ${String(plugin)} (expected an object with apply(compiler) or a function)`);
+  }
+}
+
+module.exports = {
+  SyncHook,
+  SyncWaterfallHook,
+  AsyncSeriesHook,
+  AsyncSeriesWaterfallHook,
+  createHooks,
+  applyPlugin,
+};
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+
+/**
+ * Module and chunk IDs in the output (webpack: optimization.moduleIds /
+ * optimization.chunkIds). Inside the bundler, a module is always known by
+ * its path ("./src/utils/math.js") and a chunk by its name; this decides
+ * what the bundle calls them:
+ *
+ *   named         — the path and the name themselves (readable, the default)
+ *   deterministic — short numbers from a hash of the path / name. They only
+ *                   change when the module or chunk itself is renamed, so
+ *                   adding a module doesn't change the content hashes of
+ *                   unrelated chunks.
+ *   numeric       — 0, 1, 2, ... in the order modules and chunks appear.
+ *                   The shortest IDs, but adding a module renumbers those
+ *                   after it.
+ *
+ * Returns { getModuleId(moduleId), getChunkId(chunkId) }, which map the
+ * internal IDs to output IDs — a string for named, otherwise a number.
+ */
+function createIds(chunkInfo, mode = 'named') {
+  if (mode === 'named') return NAMED_IDS;
+
+  const { entryChunks, runtimeChunk, lazyChunks, chunkGroupMap = {} } = chunkInfo;
+  const chunks = [...(runtimeChunk ? [runtimeChunk] : []), ...entryChunks.values(), ...lazyChunks.values()];
+  const moduleIds = [...new Set(chunks.flatMap(chunk => [...chunk.moduleIds]))];
+  // import() refers to its ChunkGroup by the name of the lazy chunk, which
+  // isn't emitted when split chunks took all its modules
+  const chunkIds = [...new Set([...chunks.map(chunk => chunk.id), ...Object.keys(chunkGroupMap)])];
+
+  let moduleMap;
+  let chunkMap;
+  if (mode === 'deterministic') {
+    moduleMap = assignDeterministicIds(moduleIds);
+    chunkMap = assignDeterministicIds(chunkIds);
+  } else if (mode === 'numeric') {
+    moduleMap = new Map(moduleIds.map((id, i) => [id, i]));
+    chunkMap = new Map(chunkIds.map((id, i) => [id, i]));
+  } else {
+    throw new Error(`Unknown ids option "${mode}" (expected "named", "deterministic" or "numeric")`);
+  }
+
+  // Modules and chunks a plugin added after this point keep their names
+  return {
+    getModuleId: (moduleId) => (moduleMap.has(moduleId) ? moduleMap.get(moduleId) : moduleId),
+    getChunkId: (chunkId) => (chunkMap.has(chunkId) ? chunkMap.get(chunkId) : chunkId),
+  };
+}
+
+const NAMED_IDS = {
+  getModuleId: (moduleId) => moduleId,
+  getChunkId: (chunkId) => chunkId,
+};
+
+/**
+ * Give each name a number from a hash of the name (webpack:
+ * assignDeterministicIds). The numbers have at least 3 digits, and more
+ * when there are many names so that collisions stay rare. A name whose
+ * number is taken is hashed again with a counter appended; names are
+ * handled in sorted order so the outcome doesn't depend on graph order.
+ */
+function assignDeterministicIds(names) {
+  let range = 1000;
+  while (range < names.length * 10) range *= 10;
+
+  const ids = new Map();
+  const used = new Set();
+  for (const name of [...names].sort()) {
+    for (let attempt = 0; ; attempt++) {
+      const id = hashToNumber(attempt === 0 ? name : `${name}${attempt}`) % range;
+      if (!used.has(id)) {
+        used.add(id);
+        ids.set(name, id);
+        break;
+      }
+    }
+  }
+  return ids;
+}
+
+function hashToNumber(text) {
+  return parseInt(crypto.createHash('md5').update(text).digest('hex').slice(0, 8), 16);
+}
+
+module.exports = { createIds, NAMED_IDS };
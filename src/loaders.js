@@ -0,0 +1,177 @@
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Loader pipeline (mirrors webpack's `module.rules`).
+ *
+ * A rule applies to a file when all of its conditions match:
+ *
+ *   test    — RegExp, function(resourcePath) or string (path prefix)
+ *   include — condition (or array of conditions, any may match)
+ *   exclude — condition (or array of conditions, none may match)
+ *   use     — loader or array of loaders. A loader is a function, a module
+ *             path/package name exporting one, or { loader, options }.
+ *
+ * The `use` lists of all matching rules are concatenated in rule order and,
+ * like webpack, run from last to first: each loader transforms the previous
+ * loader's output.
+ *
+ * A loader is called as loader.call(context, source, map). The source is a
+ * utf-8 string, or a Buffer for loaders marked `raw` (webpack:
+ * `module.exports.raw = true`), which is how binary files such as images
+ * get through unchanged. The loader can:
+ *   - return the new source (string or Buffer),
+ *   - return a Promise of it,
+ *   - call this.callback(err, source, map) to also pass a source map, or
+ *   - call this.async() and use the returned callback later.
+ *
+ * The context offers resourcePath, options / getOptions(), addDependency()
+ * and emitWarning().
+ *
+ * Resolves to { source, map, dependencies } — source is whatever the last
+ * loader returned, a string or a Buffer — or null when no rule applies (the
+ * file is then read as it is).
+ */
+async function runLoaders(resourcePath, rules = [], { warnings = [] } = {}) {
+  const loaders = matchRules(resourcePath, rules);
+  if (loaders.length === 0) return null;
+
+  let source = fs.readFileSync(resourcePath);
+  const dependencies = [];
+  let map = null;
+
+  for (let i = loaders.length - 1; i >= 0; i--) {
+    const { loader, options, name, raw } = loaders[i];
+    const context = {
+      resourcePath,
+      options,
+      getOptions: () => options,
+      addDependency: (file) => dependencies.push(path.resolve(file)),
+      emitWarning: (warning) => {
+        const message = warning instanceof Error ? warning.message : String(warning);
+        warnings.push(`${resourcePath}: ${name}: ${message}`);
+      },
+    };
+
+    let result;
+    try {
+      const input = raw ? toBuffer(source) : toText(source);
+      result = await callLoader(loader, context, input, map);
+    } catch (err) {
+      err.message = `Loader ${name} failed on ${resourcePath}: ${err.message}`;
+      throw err;
+    }
+
+    if (result.source === undefined || result.source === null) {
+      throw new Error(`Loader ${name} returned no source for ${resourcePath}`);
+    }
+    source = result.source;
+    map = result.map || null;
+  }
+
+  return { source, map, dependencies };
+}
+
+function toBuffer(source) {
+  return Buffer.isBuffer(source) ? source : Buffer.from(source, 'utf-8');
+}
+
+function toText(source) {
+  return Buffer.isBuffer(source) ? source.toString('utf-8') : source;
+}
+
+/**
+ * Call one loader, whichever way it delivers its result.
+ * Resolves to { source, map }.
+ */
+function callLoader(loader, context, source, map) {
+  return new Promise((resolve, reject) => {
+    let isAsync = false;
+    let done = false;
+    const callback = (err, newSource, newMap) => {
+      if (done) return;
+      done = true;
+      if (err) reject(err);
+      else resolve({ source: newSource, map: newMap });
+    };
+
+    context.callback = callback;
+    context.async = () => {
+      isAsync = true;
+      return callback;
+    };
+
+    let returned;
+    try {
+      returned = loader.call(context, source, map);
+    } catch (err) {
+      callback(err);
+      return;
+    }
+
+    if (returned && typeof returned.then === 'function') {
+      returned.then(newSource => callback(null, newSource, null), callback);
+    } else if (!isAsync && !done) {
+      // A synchronous loader that didn't use this.callback()
+      callback(null, returned, null);
+    }
+  });
+}
+
+/**
+ * Collect the loaders of every rule that applies to the file, in order.
+ * Returns [{ loader, options, name, raw }].
+ */
+function matchRules(resourcePath, rules) {
+  const loaders = [];
+
+  for (const rule of rules) {
+    if (rule.test !== undefined && !matchCondition(rule.test, resourcePath)) continue;
+    if (rule.include !== undefined && !matchCondition(rule.include, resourcePath)) continue;
+    if (rule.exclude !== undefined && matchCondition(rule.exclude, resourcePath)) continue;
+
+    const use = Array.isArray(rule.use) ? rule.use : rule.use ? [rule.use] : [];
+    for (const entry of use) {
+      loaders.push(normalizeLoader(entry));
+    }
+  }
+
+  return loaders;
+}
+
+function matchCondition(condition, resourcePath) {
+  if (Array.isArray(condition)) {
+    return condition.some(item => matchCondition(item, resourcePath));
+  }
+  if (condition instanceof RegExp) {
+    return condition.test(resourcePath);
+  }
+  if (typeof condition === 'function') {
+    return Boolean(condition(resourcePath));
+  }
+  if (typeof condition === 'string') {
+    return resourcePath.startsWith(path.resolve(condition));
+  }
+  throw new Error(`Invalid rule condition: ${String(condition)} (expected a RegExp, function or path)`);
+}
+
+function normalizeLoader(entry) {
+  const { loader, options = {} } =
+    typeof entry === 'object' && entry !== null ? entry : { loader: entry };
+
+  if (typeof loader === 'function') {
+    return { loader, options, name: loader.name || '<anonymous loader>', raw: loader.raw === true };
+  }
+  if (typeof loader === 'string') {
+    const modulePath = require.resolve(loader, { paths: [process.cwd()] });
+    const exported = require(modulePath);
+    const fn = typeof exported === 'function' ? exported : exported && exported.default;
+    if (typeof fn !== 'function') {
+      throw new Error(`Loader "${loader}" does not export a function`);
+    }
+    return { loader: fn, options, name: loader, raw: (fn.raw || exported.raw) === true };
+  }
+  throw new Error(`Invalid loader in rule.use: ${String(loader)} (expected a function or module name)`);
+}
+
+module.exports = { runLoaders, matchCondition };
@@ -0,0 +1,308 @@
+const acorn = require('acorn');
+const { analyzeScopes, traverse } = require('./scope');
+
+/**
+ * Minify a generated chunk file (webpack: optimization.minimize, done
+ * there by terser). Three things make the code smaller:
+ *
+ *   1. Whitespace and comments are dropped: the file is printed token by
+ *      token on one line, with a space only where two tokens would run
+ *      together, and a ";" wherever the parser inserted one (ASI).
+ *   2. Local variables, functions and parameters get short names
+ *      (mangling). Scope analysis tells which identifiers refer to which
+ *      declaration, so a short name is only reused where it can't capture
+ *      another reference. Globals keep their names, and so does everything
+ *      in a scope that a direct eval() or `with` could look into.
+ *   3. Members named in options.renameMembers get short names:
+ *      { loadModule: { defineExports: 'd' } } turns every
+ *      `loadModule.defineExports` into `loadModule.d` (before mangling).
+ *
+ * Property names, object keys and strings are left alone, so exported
+ * names stay as they are.
+ *
+ * options:
+ *   mangle        — rename locals (default true)
+ *   renameMembers — { objectName: { member: shortName } }
+ *   sourceMap     — also return the map from the minified code back to
+ *                   the input (decoded, see source-map.js)
+ *
+ * Returns { code, map } (map is null without options.sourceMap).
+ */
+function minify(code, options = {}) {
+  const { mangle = true, renameMembers = {}, sourceMap = false } = options;
+  const tokens = [];
+  const ast = acorn.parse(code, {
+    ecmaVersion: 'latest',
+    sourceType: 'script',
+    locations: sourceMap,
+    onToken: tokens,
+  });
+
+  // Token start → the text to print instead
+  const replacements = new Map();
+  const { parents, scopes, declarations, references } = analyzeScopes(ast);
+
+  traverse(ast, null, (node) => {
+    if (node.type !== 'MemberExpression' || node.computed || node.object.type !== 'Identifier') return;
+    const members = renameMembers[node.object.name];
+    if (members && Object.prototype.hasOwnProperty.call(members, node.property.name)) {
+      replacements.set(node.property.start, members[node.property.name]);
+    }
+  });
+
+  if (mangle) {
+    const newNames = assignShortNames(ast, parents, scopes, declarations, references);
+    for (const { node, scope } of [...declarations, ...references]) {
+      const binding = scope && newNames.get(scope);
+      const newName = binding && binding.get(node.name);
+      if (!newName || newName === node.name) continue;
+      // { add } → { add: a } — the key is still the name
+      replacements.set(node.start, isShorthandValue(node, parents) ? `${node.name}:${newName}` : newName);
+    }
+  }
+
+  const semicolonsAfter = findInsertedSemicolons(ast, code);
+
+  let output = '';
+  let previous = null;
+  let previousIsTemplateText = false;
+  const mappings = [];
+  for (const token of tokens) {
+    if (token.type === acorn.tokTypes.eof) continue;
+    const text = replacements.has(token.start) ? replacements.get(token.start) : code.slice(token.start, token.end);
+    if (!text) continue;
+
+    // Template text is printed as is: `a${b}` is one template token "a", then "${"
+    const isTemplateText = token.type === acorn.tokTypes.template || token.type === acorn.tokTypes.invalidTemplate;
+    if (previous !== null && !isTemplateText && !previousIsTemplateText && needsSpace(previous, text)) {
+      output += ' ';
+    }
+    if (sourceMap) {
+      mappings.push([output.length, 0, token.loc.start.line - 1, token.loc.start.column]);
+    }
+    output += text;
+    previous = text;
+    previousIsTemplateText = isTemplateText;
+
+    if (semicolonsAfter.has(token.end) && text !== ';') {
+      output += ';';
+      previous = ';';
+      previousIsTemplateText = false;
+    }
+  }
+
+  return { code: output, map: sourceMap ? { mappings: [mappings] } : null };
+}
+
+/**
+ * Decide the new name of every local binding: scope node → Map<name, newName>.
+ *
+ * Scopes are handled outside in. A scope's bindings take the shortest names
+ * that no reference inside the scope needs for something else: bindings of
+ * enclosing scopes that are used in here (by their new names) and globals.
+ * The most used bindings get the shortest names.
+ */
+function assignShortNames(ast, parents, scopes, declarations, references) {
+  // scope node → name → how often the binding appears
+  const counts = new Map();
+  // scope node → bindings of other scopes ([scope, name]) and global names
+  // used inside it
+  const uses = new Map();
+  for (const scope of scopes.keys()) {
+    counts.set(scope, new Map());
+    uses.set(scope, { bindings: [], globals: new Set() });
+  }
+
+  for (const { node, scope } of [...declarations, ...references]) {
+    if (scope) {
+      const scopeCounts = counts.get(scope);
+      scopeCounts.set(node.name, (scopeCounts.get(node.name) || 0) + 1);
+    }
+    // Every scope between the identifier and its declaration must not
+    // declare the same new name (a declaration counts too: `var x` in a
+    // block would clash with a `let` of that block)
+    for (let current = parents.get(node); current && current !== scope; current = parents.get(current)) {
+      if (!uses.has(current)) continue;
+      if (scope) uses.get(current).bindings.push([scope, node.name]);
+      else uses.get(current).globals.add(node.name);
+    }
+  }
+
+  // Bindings that keep their names: globals, everything a direct eval() or
+  // `with` can see, block-level functions (in sloppy mode they are also
+  // visible outside the block) and the names of function and class
+  // expressions (only visible inside, but they are the function's .name)
+  const frozen = new Set([ast]);
+  traverse(ast, null, (node) => {
+    const isDirectEval = node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'eval';
+    if (isDirectEval || node.type === 'WithStatement') {
+      for (let current = node; current; current = parents.get(current)) {
+        if (scopes.has(current)) frozen.add(current);
+      }
+    }
+  });
+  const frozenNames = (scope) => {
+    if (frozen.has(scope)) return [...counts.get(scope).keys()];
+    const isBlock = !isFunctionScope(scope) && !isFunctionBody(scope, parents);
+    return declarations
+      .filter(decl => {
+        if (decl.scope !== scope) return false;
+        const parent = parents.get(decl.node);
+        if (parent.type === 'FunctionExpression' || parent.type === 'ClassExpression') return parent.id === decl.node;
+        return isBlock && parent.type === 'FunctionDeclaration';
+      })
+      .map(decl => decl.node.name);
+  };
+
+  // No binding may be renamed to a name that is kept somewhere, or a kept
+  // binding could capture its references
+  const keptNames = new Set();
+  for (const scope of scopes.keys()) {
+    for (const name of frozenNames(scope)) keptNames.add(name);
+  }
+
+  const newNames = new Map();
+  const ordered = [...scopes.keys()].sort((a, b) => a.start - b.start || b.end - a.end);
+  for (const scope of ordered) {
+    const names = new Map();
+    newNames.set(scope, names);
+
+    const taken = new Set(uses.get(scope).globals);
+    for (const [outerScope, name] of uses.get(scope).bindings) {
+      const outerNames = newNames.get(outerScope);
+      taken.add(outerNames && outerNames.has(name) ? outerNames.get(name) : name);
+    }
+    // A function body's (or catch block's) declarations can't reuse the
+    // names of its parameters
+    const owner = parents.get(scope);
+    if ((isFunctionBody(scope, parents) || (owner && owner.type === 'CatchClause')) && newNames.has(owner)) {
+      for (const name of newNames.get(owner).values()) taken.add(name);
+    }
+    for (const name of frozenNames(scope)) {
+      names.set(name, name);
+      taken.add(name);
+    }
+
+    const bindings = [...counts.get(scope)]
+      .filter(([name]) => !names.has(name))
+      .sort((a, b) => b[1] - a[1]);
+    let index = 0;
+    for (const [name] of bindings) {
+      let newName;
+      do {
+        newName = shortName(index++);
+      } while (taken.has(newName) || keptNames.has(newName) || RESERVED_WORDS.has(newName));
+      names.set(name, newName);
+      taken.add(newName);
+    }
+  }
+
+  return newNames;
+}
+
+const FIRST_CHARS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ_$';
+const OTHER_CHARS = FIRST_CHARS + '0123456789';
+
+// 0 → "a", 53 → "$", 54 → "aa", 55 → "ba", ...
+function shortName(index) {
+  let name = FIRST_CHARS[index % FIRST_CHARS.length];
+  index = Math.floor(index / FIRST_CHARS.length);
+  while (index > 0) {
+    index--;
+    name += OTHER_CHARS[index % OTHER_CHARS.length];
+    index = Math.floor(index / OTHER_CHARS.length);
+  }
+  return name;
+}
+
+const RESERVED_WORDS = new Set([
+  'do', 'if', 'in', 'for', 'let', 'new', 'try', 'var', 'case', 'else', 'enum', 'eval', 'null', 'this',
+  'true', 'void', 'with', 'await', 'break', 'catch', 'class', 'const', 'false', 'super', 'throw',
+  'while', 'yield', 'delete', 'export', 'import', 'public', 'return', 'static', 'switch', 'typeof',
+  'default', 'extends', 'finally', 'package', 'private', 'continue', 'debugger', 'function',
+  'arguments', 'interface', 'protected', 'implements', 'instanceof', 'undefined', 'NaN', 'Infinity',
+]);
+
+/**
+ * Positions where the parser inserted a semicolon (ASI): the ends of
+ * statements that need one but don't end with ";". Once the line breaks
+ * are gone, these need a real one.
+ */
+function findInsertedSemicolons(ast, code) {
+  const positions = new Set();
+  traverse(ast, null, (node, parent) => {
+    const needsSemicolon =
+      SEMICOLON_STATEMENTS.has(node.type) ||
+      (node.type === 'VariableDeclaration' && !isForHead(node, parent));
+    if (needsSemicolon && code[node.end - 1] !== ';') {
+      positions.add(node.end);
+    }
+  });
+  return positions;
+}
+
+const SEMICOLON_STATEMENTS = new Set([
+  'ExpressionStatement',
+  'ReturnStatement',
+  'ThrowStatement',
+  'BreakStatement',
+  'ContinueStatement',
+  'DoWhileStatement',
+  'DebuggerStatement',
+  'PropertyDefinition',
+]);
+
+function isForHead(node, parent) {
+  return (
+    (parent.type === 'ForStatement' && parent.init === node) ||
+    ((parent.type === 'ForInStatement' || parent.type === 'ForOfStatement') && parent.left === node)
+  );
+}
+
+/**
+ * Whether two tokens printed next to each other would read differently:
+ * `var a`, `a + +b`, `a / /re/`, `1 .toString()`, `a<!--b` (an HTML comment
+ * in scripts) and `a-- >b`.
+ */
+function needsSpace(before, after) {
+  const last = before[before.length - 1];
+  const first = after[0];
+  if (isWordChar(last) && isWordChar(first)) return true;
+  if ((last === '+' || last === '-') && first === last) return true;
+  if (last === '/' && (first === '/' || first === '*')) return true;
+  if (/^\d+$/.test(before) && first === '.') return true;
+  if (last === '<' && first === '!') return true;
+  if (last === '-' && first === '>') return true;
+  return false;
+}
+
+function isWordChar(char) {
+  return /[\w$\\]/.test(char) || char > '\x7f';
+}
+
+function isShorthandValue(node, parents) {
+  let child = node;
+  let parent = parents.get(node);
+  if (parent.type === 'AssignmentPattern' && parent.left === node) {
+    child = parent;
+    parent = parents.get(parent);
+  }
+  return parent.type === 'Property' && parent.shorthand && parent.value === child;
+}
+
+function isFunctionBody(node, parents) {
+  const parent = parents.get(node);
+  return node.type === 'BlockStatement' && Boolean(parent) && isFunctionScope(parent) && parent.body === node;
+}
+
+function isFunctionScope(node) {
+  return (
+    node.type === 'Program' ||
+    node.type === 'FunctionDeclaration' ||
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression' ||
+    node.type === 'StaticBlock'
+  );
+}
+
+module.exports = { minify };
@@ -1,4 +1,7 @@
 const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const vm = require('vm');
 const acorn = require('acorn');
 const walk = require('acorn-walk');
 
@@ -12,26 +15,95 @@ const walk = require('acorn-walk');
  *   ast: AST,
  *   imports: [{ source, specifiers: [{ local, imported }], node }],
  *   exports: {
- *     named: [{ local, exported, node, declarationNode }],
+ *     named: [{ local, exported, node, declarationNode, reexport }],
  *     hasDefault: boolean,
  *     defaultNode: ASTNode | null,
- *     defaultType: 'declaration' | 'expression' | null,
+ *     defaultType: 'declaration' | 'expression' | 'specifier' | null,
  *   },
- *   dynamicImports: [{ source, node }],
- *   importedBindings: Map<localName, { modulePath, importedName }>
+ *   reexports: [{ source, node, star }],
+ *   dynamicImports: [{ source, context, node, chunkName, mode, magicCommentErrors }],
+ *   requires: [{ source, node }],
+ *   importMeta: [{ node, property, call }],
+ *   globImports: [{ node, patterns, eager, importName }],
+ *   assetUrls: [{ node, source, base }],
+ *   cssDependencies: [{ kind, source, condition, start, end }],
+ *   importedBindings: Map<localName, { modulePath, importedName }>,
+ *   moduleType: 'esm' | 'commonjs' | 'json' | 'asset' | 'css',
+ *   hasTopLevelAwait: boolean,
+ *   inputSourceMap: object | null,
  * }
+ *
+ * Each `import.meta` use is recorded in `importMeta`: `node` is the
+ * `import.meta.x` member expression (or the bare MetaProperty, with property
+ * null), and `call` is { node, source } for `import.meta.resolve('./x.js')`
+ * (source is null when the argument isn't a static string).
+ *
+ * `import.meta.glob('./plugins/*.js', { eager, import })` calls are recorded
+ * in `globImports` instead: `patterns` lists the glob strings (a leading "!"
+ * excludes matches), `eager` is a boolean and `importName` the single export
+ * to pick from each file (or null for the whole namespace).
+ *
+ * `new URL('./font.woff2', import.meta.url)` is recorded in `assetUrls`
+ * (its import.meta.url is not listed in `importMeta`); the file becomes an
+ * asset module.
+ *
+ * Every `export ... from` statement adds one entry to `reexports` (star: true
+ * for `export * from`); named re-exports also appear in exports.named with
+ * `reexport` pointing at that entry, and `export * as ns` is a named export
+ * whose local is "*".
+ *
+ * Magic comments inside an import() call (webpackChunkName, webpackMode)
+ * set the dynamic import's `chunkName` and `mode` ('lazy' by default,
+ * 'lazy-once' or 'eager'); problems with them are listed in
+ * `magicCommentErrors` and otherwise ignored.
+ *
+ * A module without any import/export syntax that calls require() or touches
+ * module.exports / exports is treated as CommonJS (webpack: javascript/auto).
+ *
+ * Files whose extension is listed in options.assets.types are asset modules
+ * (see parseAssetModule), .css files are CSS modules (see parseCssModule).
+ *
+ * options.source replaces the file's contents when loaders have already
+ * transformed it (a string, or a Buffer for what raw loaders returned —
+ * assets keep the bytes, everything else is decoded as utf-8);
+ * options.sourceMap is their source map, kept on the
+ * module as `inputSourceMap`.
  */
-function parseModule(filePath) {
-  const source = fs.readFileSync(filePath, 'utf-8');
+function parseModule(filePath, options = {}) {
+  const assetOptions = { ...DEFAULT_ASSET_OPTIONS, ...options.assets };
+  const assetTypes = { ...DEFAULT_ASSET_OPTIONS.types, ...assetOptions.types };
+  const extension = path.extname(filePath).toLowerCase();
+  if (assetTypes[extension]) {
+    const content = options.source === undefined
+      ? fs.readFileSync(filePath)
+      : Buffer.isBuffer(options.source) ? options.source : Buffer.from(options.source, 'utf-8');
+    return parseAssetModule(filePath, content, assetTypes[extension], assetOptions.inlineLimit);
+  }
 
-  const ast = acorn.parse(source, {
-    sourceType: 'module',
-    ecmaVersion: 'latest',
-    locations: true,
-  });
+  let source = options.source !== undefined ? options.source : fs.readFileSync(filePath, 'utf-8');
+  if (Buffer.isBuffer(source)) source = source.toString('utf-8');
+  const inputSourceMap = options.sourceMap || null;
+
+  if (extension === '.json') {
+    return { ...parseJsonModule(filePath, source), inputSourceMap };
+  }
+  if (extension === '.css') {
+    return { ...parseCssModule(filePath, source), inputSourceMap };
+  }
+
+  const comments = [];
+  const ast = parseSource(source, filePath, comments);
 
   const imports = [];
   const dynamicImports = [];
+  const requires = [];
+  const reexports = [];
+  const metaProperties = [];
+  const metaMembers = new Map(); // MetaProperty → import.meta.x MemberExpression
+  const metaCalls = new Map(); // import.meta.resolve MemberExpression → CallExpression
+  const assetUrls = [];
+  let hasModuleSyntax = false;
+  let usesCommonJS = false;
   const namedExports = [];
   let hasDefault = false;
   let defaultNode = null;
@@ -40,14 +112,15 @@ function parseModule(filePath) {
 
   walk.simple(ast, {
     ImportDeclaration(node) {
+      hasModuleSyntax = true;
       const specifiers = node.specifiers.map(spec => {
         if (spec.type === 'ImportDefaultSpecifier') {
           return { local: spec.local.name, imported: 'default' };
         } else if (spec.type === 'ImportNamespaceSpecifier') {
           return { local: spec.local.name, imported: '*' };
         } else {
-          // ImportSpecifier
-          return { local: spec.local.name, imported: spec.imported.name };
+          // ImportSpecifier (the imported name may be a string: { "a-b" as x })
+          return { local: spec.local.name, imported: moduleExportName(spec.imported) };
         }
       });
 
@@ -67,6 +140,8 @@ function parseModule(filePath) {
     },
 
     ExportNamedDeclaration(node) {
+      hasModuleSyntax = true;
+
       if (node.declaration) {
         // export function foo() {} / export const bar = 1
         if (node.declaration.type === 'FunctionDeclaration') {
@@ -77,13 +152,16 @@ function parseModule(filePath) {
             declarationNode: node.declaration,
           });
         } else if (node.declaration.type === 'VariableDeclaration') {
+          // Destructuring exports every bound name: export const { a, b: [c] } = obj
           for (const decl of node.declaration.declarations) {
-            namedExports.push({
-              local: decl.id.name,
-              exported: decl.id.name,
-              node,
-              declarationNode: node.declaration,
-            });
+            for (const name of collectPatternNames(decl.id)) {
+              namedExports.push({
+                local: name,
+                exported: name,
+                node,
+                declarationNode: node.declaration,
+              });
+            }
           }
         } else if (node.declaration.type === 'ClassDeclaration') {
           namedExports.push({
@@ -95,21 +173,35 @@ function parseModule(filePath) {
         }
       }
 
-      if (node.specifiers && node.specifiers.length > 0) {
-        // export { foo, bar as baz }
-        for (const spec of node.specifiers) {
-          namedExports.push({
-            local: spec.local.name,
-            exported: spec.exported.name,
-            node,
-            declarationNode: null,
-            reexportSource: node.source ? node.source.value : null,
-          });
+      // export { foo, bar as baz } / export { foo } from './other.js'
+      // (`export {} from './other.js'` still loads the module)
+      const reexport = node.source
+        ? { source: node.source.value, node, star: false }
+        : null;
+      if (reexport) reexports.push(reexport);
+
+      for (const spec of node.specifiers) {
+        // Both names may be strings: export { x as "my-name" }
+        const exported = moduleExportName(spec.exported);
+        namedExports.push({
+          local: moduleExportName(spec.local),
+          exported,
+          node,
+          declarationNode: null,
+          reexportSource: reexport ? reexport.source : null,
+          reexport,
+        });
+
+        // export { foo as default } is this module's default export
+        if (exported === 'default') {
+          hasDefault = true;
+          defaultType = 'specifier';
         }
       }
     },
 
     ExportDefaultDeclaration(node) {
+      hasModuleSyntax = true;
       hasDefault = true;
       defaultNode = node;
 
@@ -123,23 +215,144 @@ function parseModule(filePath) {
       }
     },
 
+    ExportAllDeclaration(node) {
+      hasModuleSyntax = true;
+
+      if (node.exported) {
+        // export * as ns from './other.js' — a single named export
+        const reexport = { source: node.source.value, node, star: false };
+        reexports.push(reexport);
+        namedExports.push({
+          local: '*',
+          exported: moduleExportName(node.exported),
+          node,
+          declarationNode: null,
+          reexportSource: reexport.source,
+          reexport,
+        });
+      } else {
+        // export * from './other.js' — every export except default
+        reexports.push({ source: node.source.value, node, star: true });
+      }
+    },
+
     ImportExpression(node) {
-      // import('./foo.js') — the source is node.source
-      if (node.source.type === 'Literal') {
+      // import('./foo.js') — the source is node.source. A concatenation of
+      // plain strings ('./locales/' + 'en.js') is just as static.
+      const parts = flattenRequest(node.source);
+      const specifier = parts && !parts.includes(null) ? parts.join('') : null;
+      const magic = parseMagicComments(node, comments);
+      if (specifier !== null) {
         dynamicImports.push({
-          source: node.source.value,
+          source: specifier,
           node,
+          ...magic,
         });
       } else {
-        // Dynamic expression — we can't statically resolve this
+        // Dynamic expression — a template literal or string concatenation
+        // with a static directory becomes a context module; anything else
+        // can't be statically resolved
         dynamicImports.push({
           source: null,
+          context: parseContextRequest(node.source),
           node,
+          ...magic,
         });
       }
     },
+
+    NewExpression(node) {
+      // new URL('./font.woff2', import.meta.url)
+      const [request, base] = node.arguments;
+      if (
+        node.callee.type === 'Identifier' &&
+        node.callee.name === 'URL' &&
+        node.arguments.length === 2 &&
+        getStaticString(request) !== null &&
+        /^\.\.?\//.test(getStaticString(request)) &&
+        isImportMetaMember(base) &&
+        !base.computed &&
+        base.property.name === 'url'
+      ) {
+        assetUrls.push({ node, source: getStaticString(request), base });
+      }
+    },
+
+    MetaProperty(node) {
+      if (node.meta.name === 'import') {
+        hasModuleSyntax = true;
+        metaProperties.push(node);
+      }
+    },
+
+    CallExpression(node) {
+      if (isImportMetaMember(node.callee)) {
+        metaCalls.set(node.callee, node);
+      }
+
+      // require('./foo.js') — only calls with a single static string are followed
+      if (
+        node.callee.type === 'Identifier' &&
+        node.callee.name === 'require' &&
+        node.arguments.length === 1
+      ) {
+        usesCommonJS = true;
+        const specifier = getStaticString(node.arguments[0]);
+        if (specifier !== null) {
+          requires.push({ source: specifier, node });
+        }
+      }
+    },
+
+    MemberExpression(node) {
+      // module.exports = ... / exports.foo = ...
+      const object = node.object;
+      if (
+        object.type === 'Identifier' &&
+        (object.name === 'exports' ||
+          (object.name === 'module' &&
+            !node.computed &&
+            node.property.name === 'exports'))
+      ) {
+        usesCommonJS = true;
+      }
+
+      // import.meta.x / import.meta["x"] (a computed key counts as bare import.meta)
+      if (
+        isImportMetaMember(node) &&
+        (!node.computed || getStaticString(node.property) !== null)
+      ) {
+        metaMembers.set(node.object, node);
+      }
+    },
   });
 
+  const importMeta = [];
+  const globImports = [];
+  const assetUrlBases = new Set(assetUrls.map(assetUrl => assetUrl.base));
+  for (const meta of metaProperties) {
+    const member = metaMembers.get(meta);
+    if (assetUrlBases.has(member)) continue;
+    if (!member) {
+      importMeta.push({ node: meta, property: null, call: null });
+      continue;
+    }
+    const property = member.computed ? getStaticString(member.property) : member.property.name;
+    const call = metaCalls.get(member) || null;
+    if (property === 'glob' && call) {
+      globImports.push({ node: call, ...parseGlobArguments(call, filePath) });
+      continue;
+    }
+    importMeta.push({
+      node: member,
+      property,
+      call: call && {
+        node: call,
+        source: call.arguments.length > 0 ? getStaticString(call.arguments[0]) : null,
+      },
+    });
+  }
+
   return {
     filePath,
     source,
@@ -151,9 +364,455 @@ function parseModule(filePath) {
       defaultNode,
       defaultType,
     },
+    reexports,
     dynamicImports,
+    requires,
+    importMeta,
+    globImports,
+    assetUrls,
+    cssDependencies: [],
     importedBindings,
+    moduleType: !hasModuleSyntax && usesCommonJS ? 'commonjs' : 'esm',
+    hasTopLevelAwait: usesTopLevelAwait(ast),
+    inputSourceMap,
+  };
+}
+
+/**
+ * JSON files are their own module type: no AST, no dependencies. The parsed
+ * value is the default export and each top-level key of an object is also a
+ * named export.
+ */
+function parseJsonModule(filePath, source) {
+  let jsonData;
+  try {
+    jsonData = JSON.parse(source);
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${filePath}: ${err.message}`);
+  }
+
+  const isObject =
+    jsonData !== null && typeof jsonData === 'object' && !Array.isArray(jsonData);
+  // A "default" key is only reachable through the default export (the
+  // whole object), never as a named export of its own
+  const keys = isObject ? Object.keys(jsonData).filter(key => key !== 'default') : [];
+
+  return {
+    filePath,
+    source,
+    ast: null,
+    imports: [],
+    reexports: [],
+    exports: {
+      named: keys.map(key => ({
+        local: key,
+        exported: key,
+        node: null,
+        declarationNode: null,
+      })),
+      hasDefault: true,
+      defaultNode: null,
+      defaultType: null,
+    },
+    dynamicImports: [],
+    requires: [],
+    importMeta: [],
+    globImports: [],
+    assetUrls: [],
+    cssDependencies: [],
+    importedBindings: new Map(),
+    moduleType: 'json',
+    hasTopLevelAwait: false,
+    jsonData,
+  };
+}
+
+// Comments and strings are matched only so that they are skipped
+const CSS_DEPENDENCY_PATTERN = new RegExp(
+  [
+    /\/\*[\s\S]*?\*\//.source,
+    /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/.source,
+    // @import url(x.css) condition; / @import "x.css" condition;
+    /@import\s+(?:url\(\s*(?:"([^"]*)"|'([^']*)'|([^)\s]*))\s*\)|"([^"]*)"|'([^']*)')([^;]*);/.source,
+    // url(x.png) / url("x.png")
+    /\burl\(\s*(?:"([^"]*)"|'([^']*)'|([^)\s"']*))\s*\)/.source,
+  ].join('|'),
+  'gi'
+);
+
+/**
+ * CSS files are their own module type (webpack: mini-css-extract-plugin).
+ * Their `@import` rules and `url()` references are recorded in
+ * cssDependencies — kind 'import' or 'url', with the source range of the
+ * rule or url() token — so they go through the resolver like JS imports.
+ * URLs that aren't file references (data:, http:, /absolute, #fragment)
+ * are left alone.
+ */
+function parseCssModule(filePath, source) {
+  const cssDependencies = [];
+
+  for (const match of source.matchAll(CSS_DEPENDENCY_PATTERN)) {
+    const [text] = match;
+    if (text.startsWith('/*') || text.startsWith('"') || text.startsWith("'")) continue;
+
+    const isImport = text[0] === '@';
+    const request = isImport
+      ? match[1] ?? match[2] ?? match[3] ?? match[4] ?? match[5]
+      : match[7] ?? match[8] ?? match[9];
+    if (!request || /^(?:[a-z][a-z0-9+.-]*:|\/|#)/i.test(request)) continue;
+
+    cssDependencies.push({
+      kind: isImport ? 'import' : 'url',
+      source: toCssRequest(request),
+      condition: isImport ? match[6].trim() : '',
+      start: match.index,
+      end: match.index + text.length,
+    });
+  }
+
+  return {
+    filePath,
+    source,
+    ast: null,
+    imports: [],
+    reexports: [],
+    exports: { named: [], hasDefault: false, defaultNode: null, defaultType: null },
+    dynamicImports: [],
+    requires: [],
+    importMeta: [],
+    globImports: [],
+    assetUrls: [],
+    cssDependencies,
+    importedBindings: new Map(),
+    moduleType: 'css',
+    hasTopLevelAwait: false,
   };
 }
 
-module.exports = { parseModule };
+/**
+ * CSS references are relative even without "./" (url(logo.png)); a "~"
+ * prefix marks a package request (url(~pkg/logo.png)), as in css-loader.
+ */
+function toCssRequest(request) {
+  if (request.startsWith('~')) return request.slice(1);
+  if (/^\.\.?\//.test(request)) return request;
+  return './' + request;
+}
+
+/**
+ * Asset module types (webpack: asset modules), chosen by file extension:
+ *   asset/resource — the file is emitted to the output dir under a hashed
+ *                    name; the module exports its URL
+ *   asset/inline   — the module exports the file as a data: URI
+ *   asset/source   — the module exports the file's text
+ *   asset          — inline below inlineLimit bytes, resource otherwise
+ */
+const DEFAULT_ASSET_OPTIONS = {
+  types: {
+    '.png': 'asset', '.jpg': 'asset', '.jpeg': 'asset', '.gif': 'asset',
+    '.webp': 'asset', '.avif': 'asset', '.ico': 'asset', '.svg': 'asset',
+    '.woff': 'asset/resource', '.woff2': 'asset/resource', '.ttf': 'asset/resource',
+    '.otf': 'asset/resource', '.eot': 'asset/resource',
+    '.mp3': 'asset/resource', '.wav': 'asset/resource', '.ogg': 'asset/resource',
+    '.mp4': 'asset/resource', '.webm': 'asset/resource',
+    '.txt': 'asset/source', '.md': 'asset/source', '.csv': 'asset/source',
+  },
+  inlineLimit: 8 * 1024,
+};
+
+const MIME_TYPES = {
+  '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif',
+  '.webp': 'image/webp', '.avif': 'image/avif', '.ico': 'image/x-icon', '.svg': 'image/svg+xml',
+  '.woff': 'font/woff', '.woff2': 'font/woff2', '.ttf': 'font/ttf', '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.mp3': 'audio/mpeg', '.wav': 'audio/wav', '.ogg': 'audio/ogg',
+  '.mp4': 'video/mp4', '.webm': 'video/webm',
+  '.txt': 'text/plain', '.md': 'text/markdown', '.csv': 'text/csv',
+};
+
+/**
+ * Asset modules have no AST and no dependencies. `assetType` is settled
+ * here ("asset" becomes inline or resource by size); resources also get
+ * the `assetFilename` they are emitted under: assets/[name].[hash][ext].
+ */
+function parseAssetModule(filePath, content, assetType, inlineLimit) {
+  const extension = path.extname(filePath);
+
+  if (assetType === 'asset') {
+    assetType = content.length < inlineLimit ? 'asset/inline' : 'asset/resource';
+  }
+  if (!['asset/resource', 'asset/inline', 'asset/source'].includes(assetType)) {
+    throw new Error(`Unknown asset module type "${assetType}" for ${filePath}`);
+  }
+
+  const hash = crypto.createHash('md5').update(content).digest('hex').slice(0, 8);
+
+  return {
+    filePath,
+    source: null,
+    ast: null,
+    imports: [],
+    reexports: [],
+    exports: { named: [], hasDefault: false, defaultNode: null, defaultType: null },
+    dynamicImports: [],
+    requires: [],
+    importMeta: [],
+    globImports: [],
+    assetUrls: [],
+    cssDependencies: [],
+    importedBindings: new Map(),
+    moduleType: 'asset',
+    hasTopLevelAwait: false,
+    assetType,
+    content,
+    mimeType: MIME_TYPES[extension.toLowerCase()] || 'application/octet-stream',
+    assetFilename:
+      assetType === 'asset/resource'
+        ? `assets/${path.basename(filePath, extension)}.${hash}${extension}`
+        : null,
+  };
+}
+
+/**
+ * Parse source as an ES module, falling back to a classic script for
+ * CommonJS code that isn't valid module code (e.g. sloppy-mode syntax or a
+ * top-level return).
+ */
+function parseSource(source, filePath, comments = []) {
+  const options = { ecmaVersion: 'latest', locations: true, onComment: comments };
+
+  try {
+    return acorn.parse(source, { ...options, sourceType: 'module' });
+  } catch (moduleError) {
+    comments.length = 0;
+    try {
+      return acorn.parse(source, {
+        ...options,
+        sourceType: 'script',
+        allowReturnOutsideFunction: true,
+      });
+    } catch {
+      moduleError.message = `${moduleError.message} in ${filePath}`;
+      throw moduleError;
+    }
+  }
+}
+
+/**
+ * Read the arguments of import.meta.glob(patterns, options). They have to
+ * be literals — the files are listed at build time.
+ */
+function parseGlobArguments(call, filePath) {
+  const fail = (message) => {
+    const { line, column } = call.loc.start;
+    throw new Error(`${filePath} (${line}:${column}): import.meta.glob() ${message}`);
+  };
+
+  const [patternsNode, optionsNode] = call.arguments;
+  if (!patternsNode) fail('needs a glob pattern.');
+
+  const patternNodes = patternsNode.type === 'ArrayExpression' ? patternsNode.elements : [patternsNode];
+  const patterns = patternNodes.map(node => {
+    const pattern = node && getStaticString(node);
+    if (pattern === null || pattern === undefined) fail('patterns must be string literals.');
+    if (!/^!?\.\.?\//.test(pattern)) fail(`pattern "${pattern}" must start with "./" or "../".`);
+    return pattern;
+  });
+
+  const result = { patterns, eager: false, importName: null };
+  if (!optionsNode) return result;
+  if (optionsNode.type !== 'ObjectExpression') fail('options must be an object literal.');
+
+  for (const prop of optionsNode.properties) {
+    const key = prop.type === 'Property' && !prop.computed ? moduleExportName(prop.key) : null;
+    const value = prop.value && prop.value.type === 'Literal' ? prop.value.value : undefined;
+    if (key === 'eager' && typeof value === 'boolean') {
+      result.eager = value;
+    } else if (key === 'import' && typeof value === 'string') {
+      result.importName = value;
+    } else {
+      fail(`option${key ? ` "${key}"` : ''} is not supported (use eager: boolean, import: "name").`);
+    }
+  }
+
+  return result;
+}
+
+const MAGIC_COMMENT_MODES = ['lazy', 'lazy-once', 'eager'];
+// How long evaluating one magic comment may take (ms), so that a comment
+// like /* webpackChunkName: (() => { while (true); })() */ can't hang the build
+const MAGIC_COMMENT_TIMEOUT = 100;
+
+/**
+ * Read webpack magic comments from the block comments inside an import()
+ * call. Like webpack, the comment body is evaluated as the inside of an
+ * object literal, so `webpackChunkName: "a", webpackMode: "eager"` works.
+ * The values are turned into JSON inside the sandbox too, so getters and
+ * toJSON() run under the timeout as well.
+ */
+function parseMagicComments(node, comments) {
+  const result = { chunkName: null, mode: 'lazy', magicCommentErrors: [] };
+
+  for (const comment of comments) {
+    if (comment.type !== 'Block' || comment.start < node.start || comment.end > node.end) continue;
+    if (!/\bwebpack[A-Z]/.test(comment.value)) continue;
+
+    let options;
+    try {
+      options = JSON.parse(vm.runInNewContext(`JSON.stringify({${comment.value}})`, {}, { timeout: MAGIC_COMMENT_TIMEOUT }));
+    } catch (err) {
+      const reason = err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT'
+        ? `evaluating it took longer than ${MAGIC_COMMENT_TIMEOUT}ms`
+        : err.message;
+      result.magicCommentErrors.push(`Magic comment /*${comment.value}*/ could not be parsed: ${reason}`);
+      continue;
+    }
+
+    for (const [key, value] of Object.entries(options)) {
+      if (key === 'webpackChunkName' && typeof value === 'string' && value !== '') {
+        result.chunkName = value;
+      } else if (key === 'webpackMode' && MAGIC_COMMENT_MODES.includes(value)) {
+        result.mode = value;
+      } else if (key === 'webpackChunkName' || key === 'webpackMode') {
+        result.magicCommentErrors.push(`Magic comment ${key} has an invalid value: ${JSON.stringify(value)}`);
+      } else {
+        result.magicCommentErrors.push(`Magic comment ${key} is not supported and was ignored.`);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Does the module body (outside any function) use `await` or `for await`?
+ */
+function usesTopLevelAwait(ast) {
+  let found = false;
+
+  walk.recursive(ast, null, {
+    Function() {
+      // await inside a nested function belongs to that function
+    },
+    AwaitExpression() {
+      found = true;
+    },
+    ForOfStatement(node, state, c) {
+      if (node.await) found = true;
+      walk.base.ForOfStatement(node, state, c);
+    },
+  });
+
+  return found;
+}
+
+function isImportMetaMember(node) {
+  return (
+    node.type === 'MemberExpression' &&
+    node.object.type === 'MetaProperty' &&
+    node.object.meta.name === 'import'
+  );
+}
+
+/**
+ * Collect every identifier a binding pattern declares.
+ * `{ a, b: [c, ...d], e = 1 }` → ["a", "c", "d", "e"]
+ */
+function collectPatternNames(pattern) {
+  switch (pattern.type) {
+    case 'Identifier':
+      return [pattern.name];
+    case 'ObjectPattern':
+      return pattern.properties.flatMap(prop =>
+        collectPatternNames(prop.type === 'RestElement' ? prop : prop.value)
+      );
+    case 'ArrayPattern':
+      return pattern.elements.filter(Boolean).flatMap(collectPatternNames);
+    case 'RestElement':
+      return collectPatternNames(pattern.argument);
+    case 'AssignmentPattern':
+      return collectPatternNames(pattern.left);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Names in import/export specifiers are identifiers or (ES2022) strings.
+ */
+function moduleExportName(node) {
+  return node.type === 'Literal' ? node.value : node.name;
+}
+
+/**
+ * Describe the set of files a partly dynamic import() can load
+ * (webpack: context module).
+ *   `./locales/${lang}.js` → { directory: "./locales/", pattern: "^.*\\.js$" }
+ * The pattern is matched against paths relative to the directory.
+ * Returns null when the request has no static leading directory.
+ */
+function parseContextRequest(node) {
+  const parts = flattenRequest(node);
+  if (!parts) return null;
+
+  // Merge adjacent static strings; dynamic parts (null) separate them
+  const quasis = [''];
+  for (const part of parts) {
+    if (part === null) {
+      quasis.push('');
+    } else {
+      quasis[quasis.length - 1] += part;
+    }
+  }
+
+  const prefix = quasis[0];
+  if (!/^\.\.?\//.test(prefix)) return null;
+
+  const directory = prefix.slice(0, prefix.lastIndexOf('/') + 1);
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern =
+    '^' +
+    escape(prefix.slice(directory.length)) +
+    quasis.slice(1).map(quasi => '.*' + escape(quasi)).join('') +
+    '$';
+
+  return { directory, pattern };
+}
+
+/**
+ * Split a template literal or `+` concatenation into its pieces: strings
+ * for static text, null for each dynamic expression.
+ */
+function flattenRequest(node) {
+  if (node.type === 'TemplateLiteral') {
+    const parts = [];
+    node.quasis.forEach((quasi, i) => {
+      parts.push(quasi.value.cooked);
+      if (i < node.expressions.length) parts.push(null);
+    });
+    return parts;
+  }
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    const left = flattenRequest(node.left);
+    const right = flattenRequest(node.right);
+    return left && right ? [...left, ...right] : null;
+  }
+  const value = getStaticString(node);
+  return value !== null ? [value] : [null];
+}
+
+/**
+ * Return the value of a string literal or an expression-free template
+ * literal, or null for anything computed.
+ */
+function getStaticString(node) {
+  if (node.type === 'Literal' && typeof node.value === 'string') {
+    return node.value;
+  }
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+module.exports = { parseModule, DEFAULT_ASSET_OPTIONS };
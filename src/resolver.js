@@ -1,32 +1,449 @@
 const path = require('path');
 const fs = require('fs');
 
-const EXTENSIONS = ['', '.js', '.json', '/index.js'];
+/**
+ * Default resolver configuration (mirrors webpack's `resolve` options).
+ *
+ *   alias       — { "@app": "/abs/src", "vue$": "vue/dist/vue.esm.js" }
+ *                 A plain key matches the specifier itself and anything below
+ *                 it ("@app/x"); a key ending in "$" only matches exactly.
+ *   extensions  — tried (in order) when a specifier isn't an exact file
+ *   mainFields  — package.json fields naming a package's entry file. Like
+ *                 webpack's web target, "browser" wins over "module" over "main".
+ *   mainFiles   — file names tried when a specifier resolves to a directory
+ *   modules     — where bare specifiers are looked up. Names ("node_modules")
+ *                 are searched hierarchically up from the importing file;
+ *                 absolute paths are searched directly, as extra roots.
+ *   conditionNames — conditions matched in package.json "exports"/"imports"
+ *                 maps. "default" always matches and needn't be listed.
+ */
+const DEFAULT_RESOLVE_OPTIONS = {
+  alias: {},
+  extensions: ['.js', '.json'],
+  mainFields: ['browser', 'module', 'main'],
+  mainFiles: ['index'],
+  modules: ['node_modules'],
+  conditionNames: ['browser', 'import', 'module'],
+};
 
 /**
  * Resolve a module specifier to an absolute file path.
- * Only handles relative paths (no node_modules resolution).
+ *
+ * Relative ("./x") and absolute specifiers resolve against fromDir.
+ * Bare specifiers ("lodash-es", "@scope/pkg", "lodash-es/debounce.js") are
+ * looked up in the configured module directories — by default node_modules,
+ * walking up from fromDir to the filesystem root the same way Node.js does.
+ * Aliases are applied first; relative alias targets resolve from the
+ * current working directory.
+ *
+ * Packages with an "exports" field are resolved strictly through it, and
+ * "#internal" specifiers through the "imports" field of the nearest
+ * package.json — no file probing happens for either.
  */
-function resolveModule(specifier, fromDir) {
-  if (!specifier.startsWith('.')) {
-    throw new Error(
-      `Cannot resolve bare specifier "${specifier}". Only relative paths are supported.`
-    );
+function resolveModule(specifier, fromDir, options = {}) {
+  const config = normalizeResolveOptions(options);
+  const tried = [];
+
+  const request = applyAlias(specifier, config.alias);
+
+  let resolved;
+  if (path.isAbsolute(request)) {
+    resolved = resolvePath(request, config, tried);
+  } else if (isPathSpecifier(request)) {
+    const baseDir = request === specifier ? fromDir : process.cwd();
+    resolved = resolvePath(path.resolve(baseDir, request), config, tried);
+  } else if (request.startsWith('#')) {
+    resolved = resolvePackageImport(request, fromDir, config, tried);
+  } else {
+    resolved = resolvePackage(request, fromDir, config, tried);
+  }
+
+  if (resolved) {
+    return resolved;
+  }
+
+  throw new Error(
+    `Cannot resolve module "${specifier}" from "${fromDir}". Tried:\n` +
+    tried.map(candidate => `  ${candidate}`).join('\n')
+  );
+}
+
+function normalizeResolveOptions(options) {
+  const config = { ...DEFAULT_RESOLVE_OPTIONS, ...options };
+
+  // Normalize the alias map into an ordered list of matchers
+  config.alias = Object.entries(config.alias || {}).map(([key, target]) => {
+    const onlyExact = key.endsWith('$');
+    return { name: onlyExact ? key.slice(0, -1) : key, onlyExact, target };
+  });
+
+  // The exact specifier is always tried before any extension is appended
+  config.extensions = ['', ...config.extensions.filter(ext => ext !== '')];
+
+  return config;
+}
+
+/**
+ * Rewrite a specifier through the first matching alias.
+ * { "@app": "/abs/src" }: "@app/utils/math.js" → "/abs/src/utils/math.js"
+ */
+function applyAlias(specifier, aliases) {
+  for (const { name, onlyExact, target } of aliases) {
+    if (specifier === name) {
+      return target;
+    }
+    if (!onlyExact && specifier.startsWith(name + '/')) {
+      return target + specifier.slice(name.length);
+    }
   }
+  return specifier;
+}
 
-  const basePath = path.resolve(fromDir, specifier);
+function isPathSpecifier(specifier) {
+  return (
+    specifier === '.' ||
+    specifier === '..' ||
+    specifier.startsWith('./') ||
+    specifier.startsWith('../') ||
+    path.isAbsolute(specifier)
+  );
+}
+
+/**
+ * Resolve an absolute path as a file first, then as a directory.
+ */
+function resolvePath(basePath, config, tried) {
+  return (
+    resolveAsFile(basePath, config, tried) ||
+    resolveAsDirectory(basePath, config, tried)
+  );
+}
 
-  for (const ext of EXTENSIONS) {
+/**
+ * Try basePath with each extension appended.
+ */
+function resolveAsFile(basePath, config, tried) {
+  for (const ext of config.extensions) {
     const candidate = basePath + ext;
-    if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+    tried.push(candidate);
+    if (isFile(candidate)) {
       return candidate;
     }
   }
+  return null;
+}
 
-  throw new Error(
-    `Cannot resolve module "${specifier}" from "${fromDir}". Tried:\n` +
-    EXTENSIONS.map(ext => `  ${basePath}${ext}`).join('\n')
-  );
+/**
+ * Resolve a directory through its package.json entry fields, falling back
+ * to index files.
+ */
+function resolveAsDirectory(dirPath, config, tried) {
+  if (!isDirectory(dirPath)) {
+    return null;
+  }
+
+  const pkg = readPackageJson(dirPath);
+  if (pkg) {
+    for (const field of config.mainFields) {
+      // Only the string form of "browser" is supported; the object form
+      // (per-file replacements) is ignored.
+      if (typeof pkg[field] !== 'string') continue;
+
+      const entryPath = path.resolve(dirPath, pkg[field]);
+      const resolved =
+        resolveAsFile(entryPath, config, tried) ||
+        resolveIndex(entryPath, config, tried);
+      if (resolved) {
+        return resolved;
+      }
+    }
+  }
+
+  return resolveIndex(dirPath, config, tried);
+}
+
+function resolveIndex(dirPath, config, tried) {
+  for (const mainFile of config.mainFiles) {
+    const resolved = resolveAsFile(path.join(dirPath, mainFile), config, tried);
+    if (resolved) {
+      return resolved;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a bare specifier by searching the configured module directories.
+ */
+function resolvePackage(specifier, fromDir, config, tried) {
+  const { packageName, subpath } = parsePackageSpecifier(specifier);
+
+  for (const modulesDir of modulesPaths(fromDir, config.modules)) {
+    const packagePath = path.join(modulesDir, packageName);
+    if (!isDirectory(modulesDir)) {
+      tried.push(packagePath);
+      continue;
+    }
+
+    // A package with an "exports" field only exposes what it lists there
+    const pkg = isDirectory(packagePath) ? readPackageJson(packagePath) : null;
+    if (pkg && pkg.exports !== undefined) {
+      return resolvePackageExport(packagePath, pkg, subpath, config, tried);
+    }
+
+    // Like Node, "foo" may be a package directory or a plain foo.js file
+    const resolved = resolvePath(path.join(packagePath, subpath), config, tried);
+    if (resolved) {
+      return resolved;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve "pkg" / "pkg/sub" through the package's "exports" map.
+ */
+function resolvePackageExport(packageDir, pkg, subpath, config, tried) {
+  const exportsMap = normalizeExportsField(pkg.exports);
+  const request = subpath ? './' + subpath : '.';
+  const target = matchSubpathMap(exportsMap, request, config.conditionNames);
+
+  if (target == null) {
+    const pkgPath = path.join(packageDir, 'package.json');
+    throw new Error(
+      `Package subpath "${request}" is not exported from package "${pkg.name || packageDir}" ` +
+      `for conditions [${[...config.conditionNames, 'default'].join(', ')}] ` +
+      `(see "exports" in ${pkgPath}).`
+    );
+  }
+
+  return resolveMapTarget(packageDir, target, '"exports"', tried);
+}
+
+/**
+ * Resolve a "#internal" specifier through the "imports" field of the
+ * package.json closest to the importing file.
+ */
+function resolvePackageImport(specifier, fromDir, config, tried) {
+  const packageDir = findPackageScope(fromDir);
+  const pkg = packageDir ? readPackageJson(packageDir) : null;
+
+  if (!pkg || !pkg.imports || typeof pkg.imports !== 'object') {
+    throw new Error(
+      `Cannot resolve "${specifier}" from "${fromDir}": no package.json with an ` +
+      `"imports" field was found.`
+    );
+  }
+
+  const target = matchSubpathMap(pkg.imports, specifier, config.conditionNames);
+  if (target == null) {
+    throw new Error(
+      `Package import "${specifier}" is not defined in ${path.join(packageDir, 'package.json')} ` +
+      `for conditions [${[...config.conditionNames, 'default'].join(', ')}].`
+    );
+  }
+
+  // Unlike "exports", "imports" targets may point at another package
+  if (!target.startsWith('./')) {
+    return resolvePackage(target, packageDir, config, tried);
+  }
+  return resolveMapTarget(packageDir, target, '"imports"', tried);
+}
+
+function resolveMapTarget(packageDir, target, fieldName, tried) {
+  const resolved = path.resolve(packageDir, target);
+  tried.push(resolved);
+
+  if (!resolved.startsWith(packageDir + path.sep) || !isFile(resolved)) {
+    throw new Error(
+      `Target "${target}" of the ${fieldName} field in ` +
+      `${path.join(packageDir, 'package.json')} does not resolve to a file inside the package.`
+    );
+  }
+  return resolved;
+}
+
+/**
+ * "exports" may be a string, an array, a conditions object, or a subpath map.
+ * Normalize the first three into { ".": value }.
+ */
+function normalizeExportsField(exportsField) {
+  if (
+    typeof exportsField === 'string' ||
+    Array.isArray(exportsField) ||
+    exportsField === null ||
+    !Object.keys(exportsField).some(key => key.startsWith('.'))
+  ) {
+    return { '.': exportsField };
+  }
+  return exportsField;
+}
+
+/**
+ * Find the target for a request in a subpath map ("exports" or "imports").
+ * Exact keys win; otherwise the "*" pattern with the longest prefix wins,
+ * and the text matched by "*" is substituted into the target.
+ * Returns a relative target string, or null when nothing matches.
+ */
+function matchSubpathMap(map, request, conditions) {
+  if (Object.prototype.hasOwnProperty.call(map, request) && !request.includes('*')) {
+    return resolveConditionalTarget(map[request], null, conditions);
+  }
+
+  const patterns = Object.keys(map)
+    .filter(key => key.split('*').length === 2)
+    .sort((a, b) => b.indexOf('*') - a.indexOf('*') || b.length - a.length);
+
+  for (const key of patterns) {
+    const [prefix, suffix] = key.split('*');
+    if (
+      request.length >= key.length - 1 &&
+      request.startsWith(prefix) &&
+      request.endsWith(suffix)
+    ) {
+      const match = request.slice(prefix.length, request.length - suffix.length);
+      return resolveConditionalTarget(map[key], match, conditions);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Walk a target value: strings are returned (with "*" substituted), arrays
+ * yield their first usable entry, and condition objects are tried in key
+ * order, entering the first key that is "default" or an active condition.
+ */
+function resolveConditionalTarget(target, patternMatch, conditions) {
+  if (typeof target === 'string') {
+    return patternMatch === null ? target : target.split('*').join(patternMatch);
+  }
+
+  if (Array.isArray(target)) {
+    for (const candidate of target) {
+      const resolved = resolveConditionalTarget(candidate, patternMatch, conditions);
+      if (resolved != null) {
+        return resolved;
+      }
+    }
+    return null;
+  }
+
+  if (target && typeof target === 'object') {
+    for (const [condition, value] of Object.entries(target)) {
+      if (condition === 'default' || conditions.includes(condition)) {
+        const resolved = resolveConditionalTarget(value, patternMatch, conditions);
+        if (resolved !== undefined) {
+          return resolved;
+        }
+      }
+    }
+    return undefined;
+  }
+
+  // null explicitly excludes a subpath
+  return null;
+}
+
+/**
+ * Find the closest directory (from fromDir upwards) containing a package.json.
+ */
+function findPackageScope(fromDir) {
+  let dir = path.resolve(fromDir);
+  while (true) {
+    if (readPackageJson(dir)) {
+      return dir;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Split a bare specifier into its package name and the deep import path.
+ * "lodash-es/debounce.js" → { packageName: "lodash-es", subpath: "debounce.js" }
+ * "@scope/pkg/sub"        → { packageName: "@scope/pkg", subpath: "sub" }
+ */
+function parsePackageSpecifier(specifier) {
+  const parts = specifier.split('/');
+  const nameLength = specifier.startsWith('@') ? 2 : 1;
+
+  if (parts.length < nameLength || parts.slice(0, nameLength).some(p => !p)) {
+    throw new Error(`Invalid package specifier "${specifier}".`);
+  }
+
+  return {
+    packageName: parts.slice(0, nameLength).join('/'),
+    subpath: parts.slice(nameLength).join('/'),
+  };
+}
+
+/**
+ * List every directory a bare specifier is looked up in, in order.
+ * Absolute entries are used as-is; named entries expand hierarchically.
+ */
+function modulesPaths(fromDir, modules) {
+  const dirs = [];
+  for (const entry of modules) {
+    if (path.isAbsolute(entry)) {
+      dirs.push(entry);
+    } else {
+      dirs.push(...hierarchicalPaths(fromDir, entry));
+    }
+  }
+  return dirs;
+}
+
+/**
+ * List the directories named `dirName` that Node would search from a directory.
+ * "/app/src/lib" → ["/app/src/lib/node_modules", "/app/src/node_modules",
+ *                   "/app/node_modules", "/node_modules"]
+ */
+function hierarchicalPaths(fromDir, dirName) {
+  const dirs = [];
+  let dir = path.resolve(fromDir);
+
+  while (true) {
+    if (path.basename(dir) !== dirName) {
+      dirs.push(path.join(dir, dirName));
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+
+  return dirs;
+}
+
+const packageJsonCache = new Map();
+
+function readPackageJson(dirPath) {
+  if (packageJsonCache.has(dirPath)) {
+    return packageJsonCache.get(dirPath);
+  }
+
+  const pkgPath = path.join(dirPath, 'package.json');
+  let pkg = null;
+  if (isFile(pkgPath)) {
+    try {
+      pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Invalid package.json at "${pkgPath}": ${err.message}`);
+    }
+  }
+
+  packageJsonCache.set(dirPath, pkg);
+  return pkg;
+}
+
+function isFile(candidate) {
+  return fs.existsSync(candidate) && fs.statSync(candidate).isFile();
+}
+
+function isDirectory(candidate) {
+  return fs.existsSync(candidate) && fs.statSync(candidate).isDirectory();
 }
 
-module.exports = { resolveModule };
+module.exports = { resolveModule, DEFAULT_RESOLVE_OPTIONS };
@@ -0,0 +1,236 @@
+/**
+ * Lexical scope analysis for an acorn AST.
+ *
+ * Every Identifier in the tree is classified as one of:
+ *   - a declaration  (var/let/const/function/class names, parameters,
+ *                     catch parameters, import bindings)
+ *   - a reference    (a read or, for assignment targets, a write)
+ *   - neither        (property keys, labels, export/import specifier names)
+ *
+ * References are then resolved against the chain of enclosing scopes, so a
+ * caller can ask "does this `add` refer to the module-level import, or to a
+ * local `const add` that shadows it?".
+ *
+ * Returns:
+ * {
+ *   parents: Map<node, parentNode>,
+ *   scopes: Map<scopeNode, Set<name>>,
+ *   declarations: [{ node, scope }],
+ *   references: [{ node, scope, isWrite }],   // scope is null for globals
+ * }
+ */
+function analyzeScopes(ast) {
+  const parents = new Map();
+  const identifiers = [];
+
+  traverse(ast, null, (node, parent) => {
+    parents.set(node, parent);
+    if (node.type === 'Identifier') {
+      identifiers.push(node);
+    }
+  });
+
+  const scopes = new Map([[ast, new Set()]]);
+  const declarations = [];
+  const pendingReferences = [];
+
+  const declare = (node, scopeNode) => {
+    if (!scopes.has(scopeNode)) {
+      scopes.set(scopeNode, new Set());
+    }
+    scopes.get(scopeNode).add(node.name);
+    declarations.push({ node, scope: scopeNode });
+  };
+
+  // --- Pass 1: classify identifiers and record declarations ---
+  for (const node of identifiers) {
+    const role = classifyIdentifier(node, parents);
+    if (role.kind === 'declaration') {
+      declare(node, role.scope);
+    } else if (role.kind === 'reference') {
+      pendingReferences.push({ node, isWrite: role.isWrite });
+    }
+  }
+
+  // --- Pass 2: resolve each reference to its declaring scope ---
+  const references = pendingReferences.map(ref => ({
+    ...ref,
+    scope: resolveScope(ref.node, parents, scopes),
+  }));
+
+  return { parents, scopes, declarations, references };
+}
+
+/**
+ * Decide what an Identifier is, based on where it sits in the tree.
+ * Returns { kind: 'declaration', scope } | { kind: 'reference', isWrite } | { kind: 'none' }
+ */
+function classifyIdentifier(node, parents) {
+  const parent = parents.get(node);
+  const none = { kind: 'none' };
+  const read = { kind: 'reference', isWrite: false };
+  const write = { kind: 'reference', isWrite: true };
+
+  switch (parent.type) {
+    case 'MemberExpression':
+      if (parent.property === node && !parent.computed) return none;
+      break;
+    case 'MethodDefinition':
+    case 'PropertyDefinition':
+      if (parent.key === node && !parent.computed) return none;
+      break;
+    case 'Property':
+      // Object keys are names, not references. (For shorthand `{ add }`,
+      // acorn gives key and value separate nodes — the value is the reference.)
+      if (parent.key === node && !parent.computed) return none;
+      break;
+    case 'LabeledStatement':
+    case 'BreakStatement':
+    case 'ContinueStatement':
+    case 'ExportSpecifier':
+    case 'ExportAllDeclaration':
+    case 'MetaProperty':
+      return none;
+    case 'ImportSpecifier':
+    case 'ImportDefaultSpecifier':
+    case 'ImportNamespaceSpecifier':
+      return parent.local === node
+        ? { kind: 'declaration', scope: nearestScope(parent, parents, isFunctionScope) }
+        : none;
+    case 'FunctionDeclaration':
+    case 'ClassDeclaration':
+      // The name belongs to the enclosing block, not to the function itself
+      if (parent.id === node) {
+        return { kind: 'declaration', scope: nearestScope(parents.get(parent), parents, isBlockScope) };
+      }
+      break;
+    case 'FunctionExpression':
+    case 'ClassExpression':
+      // A named function/class expression's name is only visible inside it
+      if (parent.id === node) return { kind: 'declaration', scope: parent };
+      break;
+    case 'UpdateExpression':
+      return write;
+  }
+
+  // Identifiers inside a binding or assignment pattern — find out which
+  const { container, top } = climbPattern(node, parents);
+
+  switch (container.type) {
+    case 'VariableDeclarator':
+      if (container.id === top) {
+        const declaration = parents.get(container);
+        const scopeCheck = declaration.kind === 'var' ? isFunctionScope : isBlockScope;
+        return { kind: 'declaration', scope: nearestScope(parents.get(declaration), parents, scopeCheck) };
+      }
+      break;
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+      if (container.params.includes(top)) {
+        return { kind: 'declaration', scope: container };
+      }
+      break;
+    case 'CatchClause':
+      if (container.param === top) return { kind: 'declaration', scope: container };
+      break;
+    case 'AssignmentExpression':
+      if (container.left === top) return write;
+      break;
+    case 'ForInStatement':
+    case 'ForOfStatement':
+      if (container.left === top) return write;
+      break;
+  }
+
+  return read;
+}
+
+/**
+ * Walk up through destructuring patterns (`{ a: [b = 1] }`) to the node
+ * that owns the whole pattern. Stops at default values, which are plain
+ * expressions.
+ */
+function climbPattern(node, parents) {
+  let top = node;
+  let container = parents.get(node);
+
+  while (container) {
+    const isPatternStep =
+      container.type === 'ObjectPattern' ||
+      container.type === 'ArrayPattern' ||
+      container.type === 'RestElement' ||
+      (container.type === 'AssignmentPattern' && container.left === top) ||
+      (container.type === 'Property' &&
+        container.value === top &&
+        parents.get(container).type === 'ObjectPattern');
+    if (!isPatternStep) break;
+
+    top = container;
+    container = parents.get(container);
+  }
+
+  return { container, top };
+}
+
+function resolveScope(node, parents, scopes) {
+  for (let current = parents.get(node); current; current = parents.get(current)) {
+    const names = scopes.get(current);
+    if (names && names.has(node.name)) {
+      return current;
+    }
+  }
+  return null;
+}
+
+function nearestScope(node, parents, check) {
+  let current = node;
+  while (current && !check(current)) {
+    current = parents.get(current);
+  }
+  return current;
+}
+
+function isFunctionScope(node) {
+  return (
+    node.type === 'Program' ||
+    node.type === 'FunctionDeclaration' ||
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression' ||
+    node.type === 'StaticBlock'
+  );
+}
+
+function isBlockScope(node) {
+  return (
+    isFunctionScope(node) ||
+    node.type === 'BlockStatement' ||
+    node.type === 'ForStatement' ||
+    node.type === 'ForInStatement' ||
+    node.type === 'ForOfStatement' ||
+    node.type === 'SwitchStatement'
+  );
+}
+
+/**
+ * Visit every node in the tree, parents before children.
+ */
+function traverse(node, parent, visit) {
+  visit(node, parent);
+  for (const key of Object.keys(node)) {
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const child of value) {
+        if (isNode(child)) traverse(child, node, visit);
+      }
+    } else if (isNode(value) && key !== 'loc') {
+      traverse(value, node, visit);
+    }
+  }
+}
+
+function isNode(value) {
+  return value !== null && typeof value === 'object' && typeof value.type === 'string';
+}
+
+module.exports = { analyzeScopes, traverse };
@@ -0,0 +1,298 @@
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Source maps (webpack: the `devtool` option).
+ *
+ * A source map tells the browser which position in the original files each
+ * position in a generated file comes from. Its "mappings" field lists, for
+ * every generated line, segments of
+ *
+ *   [generatedColumn, sourceIndex, sourceLine, sourceColumn, nameIndex?]
+ *
+ * (all 0-based). In the JSON file each segment is stored as Base64 VLQ
+ * numbers relative to the previous segment, lines are separated by ";" and
+ * segments by ",". In here maps are kept "decoded": mappings is an array
+ * (one entry per generated line) of arrays of segments with absolute numbers.
+ *
+ * Maps are built in three steps:
+ *   1. transformModuleWithMap() gets the map of each factory body from magic-string,
+ *      composed with the map of the loaders that produced the module source
+ *      (composeMaps).
+ *   2. The code generator records where each factory body is placed in the
+ *      chunk file and how far it is indented.
+ *   3. joinSourceMaps() shifts every body's map to its place and merges them
+ *      into the map of the whole file.
+ */
+
+// Modules show up under this prefix in the browser's source panel
+const SOURCE_URL_PREFIX = 'bundler:///';
+// ...and their eval'd factory bodies (devtool "eval") under this one
+const EVAL_SOURCE_URL_PREFIX = 'bundler-internal:///';
+
+/**
+ * The URL a module's original source is listed under:
+ * "./src/utils/math.js" → "bundler:///src/utils/math.js"
+ */
+function toSourceUrl(moduleId) {
+  return SOURCE_URL_PREFIX + moduleId.replace(/^\.\//, '');
+}
+
+/**
+ * The //# sourceURL of a module's eval'd factory body. It differs from
+ * toSourceUrl() so that, with eval-source-map, the generated code and the
+ * original source it maps to are two separate files.
+ */
+function toEvalSourceUrl(moduleId) {
+  return EVAL_SOURCE_URL_PREFIX + moduleId.replace(/^\.\//, '');
+}
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Encode decoded mappings into the "mappings" string of a source map.
+ */
+function encodeMappings(lines) {
+  const state = [0, 0, 0, 0, 0]; // the previous segment's values (column resets per line)
+  return lines
+    .map(segments => {
+      state[0] = 0;
+      return segments
+        .map(segment => segment.map((value, i) => {
+          const encoded = encodeVlq(value - state[i]);
+          state[i] = value;
+          return encoded;
+        }).join(''))
+        .join(',');
+    })
+    .join(';');
+}
+
+/**
+ * Decode the "mappings" string of a source map into arrays of segments.
+ */
+function decodeMappings(mappings) {
+  const state = [0, 0, 0, 0, 0];
+  return mappings.split(';').map(line => {
+    state[0] = 0;
+    const segments = [];
+    for (const group of line.split(',')) {
+      if (!group) continue;
+      const values = decodeVlq(group);
+      segments.push(values.map((delta, i) => (state[i] += delta)));
+    }
+    return segments;
+  });
+}
+
+// A VLQ digit holds 5 bits; the sixth marks that more digits follow. The
+// lowest bit of the first digit is the sign.
+function encodeVlq(value) {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+  let encoded = '';
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    encoded += BASE64[digit];
+  } while (vlq > 0);
+  return encoded;
+}
+
+function decodeVlq(text) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  for (const char of text) {
+    const digit = BASE64.indexOf(char);
+    if (digit === -1) {
+      throw new Error(`Invalid character "${char}" in source map mappings`);
+    }
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+}
+
+/**
+ * Compose a module's map (factory body → module source) with the map its
+ * loaders returned (module source → original file), giving a map from the
+ * factory body to the original file. Positions the loader map says nothing
+ * about are dropped.
+ *
+ * inputMap may be encoded (a loader's JSON map) or decoded. Its relative
+ * sources are resolved against the module's directory; when it has no
+ * sourcesContent, the contents are read from those files.
+ */
+function composeMaps(map, inputMap, filePath, projectRoot) {
+  const input = typeof inputMap === 'string' ? JSON.parse(inputMap) : inputMap;
+  const inputLines = typeof input.mappings === 'string' ? decodeMappings(input.mappings) : input.mappings;
+  const sources = [];
+  const sourcesContent = [];
+  (input.sources || []).forEach((source, index) => {
+    const content = input.sourcesContent ? input.sourcesContent[index] : null;
+    if (/^[a-z][a-z0-9+.-]*:/i.test(source)) {
+      sources.push(source);
+      sourcesContent.push(content);
+      return;
+    }
+    const absolute = path.resolve(path.dirname(filePath), input.sourceRoot || '', source);
+    sources.push(toSourceUrl('./' + path.relative(projectRoot, absolute).split(path.sep).join('/')));
+    sourcesContent.push(content != null ? content : readSource(absolute));
+  });
+
+  return { sources, sourcesContent, names: [], mappings: remapMappings(map.mappings, inputLines) };
+}
+
+/**
+ * Follow each segment of `mappings` (which point into a generated file)
+ * through that file's own mappings, `inputLines`, to where that file came
+ * from. Sources are then indices into the input map's sources.
+ */
+function remapMappings(mappings, inputLines) {
+  return mappings.map(segments => {
+    const composed = [];
+    for (const segment of segments) {
+      if (segment.length < 4) continue;
+      const original = findSegment(inputLines[segment[2]], segment[3]);
+      if (!original || original.length < 4) continue;
+      composed.push([segment[0], original[1], original[2], original[3]]);
+    }
+    return composed;
+  });
+}
+
+function readSource(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+// The last segment of a line that starts at or before the column
+function findSegment(segments, column) {
+  let found = null;
+  for (const segment of segments || []) {
+    if (segment[0] > column) break;
+    found = segment;
+  }
+  return found;
+}
+
+/**
+ * Move a map's generated positions `lineOffset` lines down and
+ * `columnOffset` characters right, for code that was placed below other
+ * generated lines and indented.
+ */
+function offsetSourceMap(map, lineOffset, columnOffset) {
+  const shifted = map.mappings.map(segments =>
+    segments.map(([column, ...original]) => [column + columnOffset, ...original])
+  );
+  return {
+    ...map,
+    mappings: [...Array.from({ length: lineOffset }, () => []), ...shifted],
+  };
+}
+
+/**
+ * The map of a generated file that was built as an array of lines (each
+ * entry may span several lines once joined with "\n"). `parts` says where
+ * mapped code went: { index, indent, map } — lines[index] is the code,
+ * indented by `indent` characters except on blank lines.
+ */
+function joinSourceMaps(lines, parts) {
+  const sources = [];
+  const sourcesContent = [];
+  const names = [];
+  const mappings = [];
+  const sourceIndex = new Map();
+  const partsByIndex = new Map(parts.map(part => [part.index, part]));
+
+  for (let i = 0; i < lines.length; i++) {
+    const text = lines[i];
+    const part = partsByIndex.get(i);
+    const lineCount = text.split('\n').length;
+
+    if (!part) {
+      for (let n = 0; n < lineCount; n++) mappings.push([]);
+      continue;
+    }
+
+    // The part's sources become sources of the whole file
+    const sourceMapping = part.map.sources.map((source, index) => {
+      if (!sourceIndex.has(source)) {
+        sourceIndex.set(source, sources.length);
+        sources.push(source);
+        sourcesContent.push(part.map.sourcesContent ? part.map.sourcesContent[index] : null);
+      }
+      return sourceIndex.get(source);
+    });
+    const nameMapping = (part.map.names || []).map(name => {
+      names.push(name);
+      return names.length - 1;
+    });
+
+    const generatedLines = text.split('\n');
+    for (let n = 0; n < lineCount; n++) {
+      const segments = part.map.mappings[n] || [];
+      // indentCode() blanks whitespace-only lines, so nothing on them maps
+      if (!generatedLines[n].trim()) {
+        mappings.push([]);
+        continue;
+      }
+      mappings.push(segments.map(segment => {
+        const shifted = [segment[0] + part.indent];
+        if (segment.length >= 4) {
+          shifted.push(sourceMapping[segment[1]], segment[2], segment[3]);
+        }
+        if (segment.length === 5) {
+          shifted.push(nameMapping[segment[4]]);
+        }
+        return shifted;
+      }));
+    }
+  }
+
+  return { sources, sourcesContent, names, mappings };
+}
+
+/**
+ * The JSON text of a source map for the file `file`.
+ */
+function toSourceMapJson(map, file) {
+  return JSON.stringify({
+    version: 3,
+    file,
+    sources: map.sources,
+    sourcesContent: map.sourcesContent,
+    names: map.names,
+    mappings: encodeMappings(map.mappings),
+  });
+}
+
+/**
+ * A source map as a data: URL, for inline-source-map and eval-source-map.
+ */
+function toDataUrl(mapJson) {
+  return `data:application/json;charset=utf-8;base64,${Buffer.from(mapJson).toString('base64')}`;
+}
+
+module.exports = {
+  toSourceUrl,
+  toEvalSourceUrl,
+  encodeMappings,
+  decodeMappings,
+  composeMaps,
+  remapMappings,
+  offsetSourceMap,
+  joinSourceMaps,
+  toSourceMapJson,
+  toDataUrl,
+};
@@ -1,22 +1,79 @@
 const MagicString = require('magic-string');
-const walk = require('acorn-walk');
-const { toModuleId, toChunkId } = require('./dependency-graph');
+const { toModuleId } = require('./dependency-graph');
+const { analyzeScopes } = require('./scope');
+const { NAMED_IDS } = require('./ids');
+const { toSourceUrl, composeMaps, offsetSourceMap } = require('./source-map');
 
 /**
  * Transform a module's source code:
  *  - Remove import declarations, replace with loadModule() calls
  *  - Replace imported identifier references with property accesses
  *  - Transform export declarations to plain declarations + defineExports
- *  - Transform dynamic import() to loadChunk().then(...)
+ *  - Transform dynamic import() to loadModule.loadChunk().then(...)
+ *  - Expand import.meta.glob() into an object of loaders or namespaces
+ *  - Replace require() calls with loadModule() calls
+ *
+ *  - Replace import.meta.url / .resolve() / .env with build-time values
+ *  - Leave out exports no module uses (moduleInfo.usedExports), and the
+ *    declarations only they needed
+ *
+ * `modules` (moduleId → ModuleInfo) is used to look up the module type of
+ * each dependency, so that ES imports of CommonJS modules get interop helpers.
+ *
+ * options:
+ *   publicPath    — URL prefix the project root is served from (import.meta.url)
+ *   importMetaEnv — object inlined for import.meta.env
+ *   warnings      — array that non-fatal problems are pushed onto
+ *   ids           — output module and chunk IDs (see createIds); paths
+ *                   and chunk names when left out
  *
  * Returns the transformed source string (just the factory body).
  */
-function transformModule(moduleInfo, projectRoot) {
+function transformModule(moduleInfo, projectRoot, modules = new Map(), options = {}) {
+  return transform(moduleInfo, projectRoot, modules, options, false).code;
+}
+
+/**
+ * Like transformModule(), but also returns the source map of the factory
+ * body (see source-map.js): { code, map }. It maps back to the module's
+ * original file, through the loaders' map when they returned one. JSON,
+ * asset and CSS modules have no map (map is null).
+ */
+function transformModuleWithMap(moduleInfo, projectRoot, modules = new Map(), options = {}) {
+  return transform(moduleInfo, projectRoot, modules, options, true);
+}
+
+function transform(moduleInfo, projectRoot, modules, options, withMap) {
+  if (moduleInfo.moduleType === 'json') {
+    return { code: transformJsonModule(moduleInfo), map: null };
+  }
+  if (moduleInfo.moduleType === 'asset') {
+    return { code: transformAssetModule(moduleInfo, options), map: null };
+  }
+  if (moduleInfo.moduleType === 'css') {
+    // The styles go into the chunk's .css file (see transformCssModule)
+    return { code: 'loadModule.markAsESModule(exports);\n\n// extracted into a .css file', map: null };
+  }
+
   const s = new MagicString(moduleInfo.source);
 
   // Collect info we'll need
   const importedBindings = moduleInfo.importedBindings;
   const moduleVarNames = new Map(); // modulePath → variable name (e.g., _math_)
+  const commonJSSources = new Set(); // import sources that point at CommonJS modules
+  // Asset modules set module.exports too, so they get the same interop
+  const isCommonJSModule = (moduleId) => {
+    const info = modules.get(moduleId);
+    return Boolean(info && (info.moduleType === 'commonjs' || info.moduleType === 'asset'));
+  };
+  const isAsyncModule = (moduleId) => {
+    const info = modules.get(moduleId);
+    return Boolean(info && info.isAsync);
+  };
+  // Module and chunk IDs as they appear in the output: "./src/x.js" or 42
+  const ids = options.ids || NAMED_IDS;
+  const moduleRef = (moduleId) => JSON.stringify(ids.getModuleId(moduleId));
+  const chunkRef = (chunkId) => JSON.stringify(ids.getChunkId(chunkId));
 
   // --- Step 1: Build module variable names for each import source ---
   for (const imp of moduleInfo.imports) {
@@ -28,23 +85,93 @@ function transformModule(moduleInfo, projectRoot) {
     }
     // Store moduleId on the import for later reference
     imp.moduleId = moduleId;
+    if (isCommonJSModule(moduleId)) {
+      commonJSSources.add(imp.source);
+    }
   }
 
   // --- Step 2: Remove import declarations, add loadModule() calls at top ---
+  // Imports and re-exports are loaded in source order, so dependencies
+  // execute in the same order as they would natively.
   const loadModuleCalls = [];
+  const namespaceVars = new Set(); // module vars with a CommonJS namespace wrapper
+
+  // Re-exported modules are loaded like imports, sharing the variable when
+  // the same source is also imported. CommonJS sources are wrapped in a
+  // namespace object so "default" and "*" follow the import interop rules.
+  const reexportVarName = (reexport) => {
+    const moduleId = toModuleId(reexport.resolvedPath, projectRoot);
+    if (!moduleVarNames.has(reexport.source)) {
+      moduleVarNames.set(reexport.source, makeVarName(reexport.source));
+      loadModuleCalls.push(`var ${moduleVarNames.get(reexport.source)} = loadModule(${moduleRef(moduleId)});`);
+    }
+    const varName = moduleVarNames.get(reexport.source);
+    if (reexport.star || !isCommonJSModule(moduleId)) {
+      return varName;
+    }
+    if (!namespaceVars.has(varName)) {
+      namespaceVars.add(varName);
+      loadModuleCalls.push(`var ${varName}namespace = loadModule.createNamespaceObject(${varName});`);
+    }
+    return `${varName}namespace`;
+  };
+
+  const staticDeps = [...moduleInfo.imports, ...moduleInfo.reexports]
+    .sort((a, b) => a.node.start - b.node.start);
+
+  for (const imp of staticDeps) {
+    if (!moduleInfo.imports.includes(imp)) {
+      reexportVarName(imp);
+      continue;
+    }
 
-  for (const imp of moduleInfo.imports) {
     const varName = moduleVarNames.get(imp.source);
     const moduleId = imp.moduleId;
 
-    loadModuleCalls.push(`var ${varName} = loadModule("${moduleId}");`);
+    loadModuleCalls.push(`var ${varName} = loadModule(${moduleRef(moduleId)});`);
+
+    // CommonJS modules have no real default export or namespace: wrap them
+    // (webpack: __webpack_require__.n / __webpack_require__.t)
+    if (commonJSSources.has(imp.source)) {
+      const importedNames = imp.specifiers.map(spec => spec.imported);
+      if (importedNames.includes('default')) {
+        loadModuleCalls.push(`var ${varName}default = loadModule.getDefaultExport(${varName});`);
+      }
+      if (importedNames.includes('*') && !namespaceVars.has(varName)) {
+        namespaceVars.add(varName);
+        loadModuleCalls.push(`var ${varName}namespace = loadModule.createNamespaceObject(${varName});`);
+      }
+    }
 
     // Remove the import declaration from source
     s.remove(imp.node.start, imp.node.end);
   }
 
+  // The expression an imported binding is rewritten to
+  const bindingReplacement = (binding) => {
+    const varName = moduleVarNames.get(binding.modulePath);
+    if (!varName) return null;
+
+    const fromCommonJS = commonJSSources.has(binding.modulePath);
+    if (binding.importedName === '*') {
+      // Namespace import — just use the variable directly
+      return fromCommonJS ? `${varName}namespace` : varName;
+    }
+    if (binding.importedName === 'default' && fromCommonJS) {
+      // Default import of CommonJS — call the interop getter
+      return `${varName}default()`;
+    }
+    return propertyAccess(varName, binding.importedName);
+  };
+
   // --- Step 3: Transform export declarations ---
+  // Exports no other module uses (see markUsedExports) get no getter, just
+  // a comment (webpack: "unused harmony export")
   const exportGetters = []; // { exported, getter }
+  const unusedExports = [];
+  const usedLocals = new Set(); // local names a getter still reads
+  const unusedLocals = new Set(); // local names only unused exports read
+  const isUsedExport = (name) => !moduleInfo.usedExports || moduleInfo.usedExports.has(name);
 
   for (const exp of moduleInfo.exports.named) {
     if (exp.declarationNode) {
@@ -52,7 +179,7 @@ function transformModule(moduleInfo, projectRoot) {
       // export const bar = 1 → const bar = 1
       // Remove the 'export ' keyword (from export start to declaration start)
       s.remove(exp.node.start, exp.declarationNode.start);
-    } else if (!exp.reexportSource) {
+    } else if (!exp.reexport) {
       // export { foo, bar as baz } — remove the entire export statement
       // (the local variables still exist, we just need to expose them)
       // Only remove if this is the first export specifier in the node
@@ -63,26 +190,26 @@ function transformModule(moduleInfo, projectRoot) {
       s.remove(exp.node.start, exp.node.end);
     }
 
-    if (exp.reexportSource) {
+    if (!isUsedExport(exp.exported)) {
+      unusedExports.push(exp.exported);
+      if (!exp.reexport) unusedLocals.add(exp.local);
+    } else if (exp.reexport) {
       // For re-exports, we need to reference the other module
-      const moduleId = toModuleId(
-        require('path').resolve(
-          require('path').dirname(moduleInfo.filePath),
-          exp.reexportSource
-        ),
-        projectRoot
-      );
-      if (!moduleVarNames.has(exp.reexportSource)) {
-        const varName = makeVarName(exp.reexportSource);
-        moduleVarNames.set(exp.reexportSource, varName);
-        loadModuleCalls.push(`var ${varName} = loadModule("${moduleId}");`);
-      }
-      const varName = moduleVarNames.get(exp.reexportSource);
+      const varName = reexportVarName(exp.reexport);
+      exportGetters.push({
+        exported: exp.exported,
+        getter: exp.local === '*'
+          ? `() => ${varName}`
+          : `() => ${propertyAccess(varName, exp.local)}`,
+      });
+    } else if (!exp.declarationNode && importedBindings.has(exp.local)) {
+      // import { add } from './math.js'; export { add } — forward the import
       exportGetters.push({
         exported: exp.exported,
-        getter: `() => ${varName}.${exp.local}`,
+        getter: `() => ${bindingReplacement(importedBindings.get(exp.local))}`,
       });
     } else {
+      usedLocals.add(exp.local);
       exportGetters.push({
         exported: exp.exported,
         getter: `() => ${exp.local}`,
@@ -90,32 +217,48 @@ function transformModule(moduleInfo, projectRoot) {
     }
   }
 
+  // export * from './other.js' — copied over at runtime, after the module's
+  // own exports are defined so that local names win over star exports.
+  // Names that several star exports provide are ambiguous and left out
+  const ambiguous = moduleInfo.ambiguousStarExports || [];
+  const starExportCalls = [];
+  for (const reexport of moduleInfo.reexports) {
+    if (!reexport.star) continue;
+    s.remove(reexport.node.start, reexport.node.end);
+    const excluded = ambiguous.length > 0 ? `, ${JSON.stringify(ambiguous)}` : '';
+    starExportCalls.push(`loadModule.exportStar(exports, ${reexportVarName(reexport)}${excluded});`);
+  }
+
   // Handle default export
-  if (moduleInfo.exports.hasDefault) {
+  // ('specifier' defaults — export { foo as default } — were handled above)
+  if (moduleInfo.exports.hasDefault && moduleInfo.exports.defaultType !== 'specifier') {
     const defNode = moduleInfo.exports.defaultNode;
 
     if (moduleInfo.exports.defaultType === 'declaration') {
       // export default function greet() {} → function greet() {}
-      const declName = defNode.declaration.id
-        ? defNode.declaration.id.name
-        : null;
-
       // Remove 'export default ' prefix
       s.remove(defNode.start, defNode.declaration.start);
 
-      if (declName) {
+      let localName = defNode.declaration.id ? defNode.declaration.id.name : null;
+      if (!localName) {
+        // Anonymous default export — give it a name so it stays a hoisted
+        // declaration: export default class {} → class __default_export__ {}
+        const keyword = /^(async\s+)?function(\s*\*)?|^class/.exec(
+          moduleInfo.source.slice(defNode.declaration.start)
+        )[0];
+        s.appendLeft(defNode.declaration.start + keyword.length, ' __default_export__');
+        localName = '__default_export__';
+      }
+
+      if (isUsedExport('default')) {
+        usedLocals.add(localName);
         exportGetters.push({
           exported: 'default',
-          getter: `() => ${declName}`,
+          getter: `() => ${localName}`,
         });
       } else {
-        // Anonymous default export — assign to a variable
-        const varDecl = `var __default_export__ = `;
-        s.overwrite(defNode.start, defNode.declaration.start, varDecl);
-        exportGetters.push({
-          exported: 'default',
-          getter: '() => __default_export__',
-        });
+        unusedExports.push('default');
+        unusedLocals.add(localName);
       }
     } else {
       // export default <expression> → var __default_export__ = <expression>;
@@ -127,144 +270,227 @@ function transformModule(moduleInfo, projectRoot) {
       );
 
       // If the source doesn't end with semicolon, we don't add one (preserve style)
-      exportGetters.push({
-        exported: 'default',
-        getter: '() => __default_export__',
-      });
+      if (isUsedExport('default')) {
+        usedLocals.add('__default_export__');
+        exportGetters.push({
+          exported: 'default',
+          getter: '() => __default_export__',
+        });
+      } else {
+        unusedExports.push('default');
+        unusedLocals.add('__default_export__');
+      }
     }
   }
 
   // --- Step 4: Replace imported identifier references ---
-  // Collect all identifier nodes and their ancestor chains
+  // Scope analysis tells us which identifiers really refer to the import
+  // binding: a local `const add`, a parameter `({ add }) =>` or `catch (PI)`
+  // shadows the import and must be left alone.
   const replacements = [];
+  const { parents, references } = analyzeScopes(moduleInfo.ast);
 
-  walk.ancestor(moduleInfo.ast, {
-    Identifier(node, ancestors) {
-      const binding = importedBindings.get(node.name);
-      if (!binding) return;
-
-      // Skip if this identifier is part of an import/export declaration
-      const parent = ancestors[ancestors.length - 2];
-      if (!parent) return;
-
-      // Skip import specifiers (already removed)
-      if (
-        parent.type === 'ImportSpecifier' ||
-        parent.type === 'ImportDefaultSpecifier' ||
-        parent.type === 'ImportNamespaceSpecifier' ||
-        parent.type === 'ImportDeclaration'
-      ) {
-        return;
-      }
-
-      // Skip export specifiers
-      if (
-        parent.type === 'ExportSpecifier'
-      ) {
-        return;
-      }
+  for (const { node, scope, isWrite } of references) {
+    const binding = importedBindings.get(node.name);
+    if (!binding || scope !== moduleInfo.ast) continue;
 
-      // Skip property keys in object expressions/patterns (non-computed)
-      if (
-        parent.type === 'Property' &&
-        parent.key === node &&
-        !parent.computed
-      ) {
-        return;
-      }
+    if (isWrite) {
+      throw new Error(
+        `Cannot assign to import "${node.name}" in ${moduleInfo.filePath} ` +
+        `(${node.loc.start.line}:${node.loc.start.column}). Imported bindings are read-only.`
+      );
+    }
 
-      // Skip member expression property (non-computed): obj.add → don't touch 'add'
-      if (
-        parent.type === 'MemberExpression' &&
-        parent.property === node &&
-        !parent.computed
-      ) {
-        return;
-      }
+    let replacement = bindingReplacement(binding);
+    if (replacement === null) continue; // shouldn't happen
+
+    const parent = parents.get(node);
+    const isCallTarget =
+      parent.type === 'CallExpression' && parent.callee === node;
+    const isTaggedTemplate =
+      parent.type === 'TaggedTemplateExpression' && parent.tag === node;
+
+    if (isCallTarget || isTaggedTemplate) {
+      // Use (0, fn)() pattern to ensure `this` is undefined
+      replacement = `(0, ${replacement})`;
+    } else if (parent.type === 'Property' && parent.shorthand) {
+      // { add } → { add: _utils_math_.add }
+      replacement = `${node.name}: ${replacement}`;
+    }
 
-      // Skip variable declaration names
-      if (parent.type === 'VariableDeclarator' && parent.id === node) {
-        return;
-      }
+    replacements.push({ start: node.start, end: node.end, replacement });
+  }
 
-      // Skip function/class declaration names
-      if (
-        (parent.type === 'FunctionDeclaration' ||
-          parent.type === 'ClassDeclaration') &&
-        parent.id === node
-      ) {
-        return;
-      }
+  // Apply replacements in reverse order to preserve positions
+  replacements.sort((a, b) => b.start - a.start);
+  for (const { start, end, replacement } of replacements) {
+    s.overwrite(start, end, replacement);
+  }
 
-      // Skip function parameters
-      if (
-        (parent.type === 'FunctionDeclaration' ||
-          parent.type === 'FunctionExpression' ||
-          parent.type === 'ArrowFunctionExpression') &&
-        parent.params &&
-        parent.params.includes(node)
-      ) {
-        return;
-      }
+  // --- Step 5: Transform dynamic imports ---
+  // The promise-returning expression that loads one import() target
+  const lazyImportExpression = (target) => {
+    const targetModuleId = target.targetModuleId;
+
+    // webpackMode: "eager", or a module every chunk that imports it already
+    // has — nothing to fetch; the import() still resolves asynchronously
+    const ready = target.chunkId === null ? 'Promise.resolve()' : `loadModule.loadChunk(${chunkRef(target.chunkId)})`;
+
+    // import() of a CommonJS module resolves to a namespace wrapping module.exports;
+    // import() of an async module resolves once its top-level await has settled
+    if (isCommonJSModule(targetModuleId)) {
+      return `${ready}.then(() => loadModule.createNamespaceObject(loadModule(${moduleRef(targetModuleId)})))`;
+    } else if (isAsyncModule(targetModuleId)) {
+      return `${ready}.then(loadModule.loadAsyncModule.bind(loadModule, ${moduleRef(targetModuleId)}))`;
+    }
+    return `${ready}.then(loadModule.bind(loadModule, ${moduleRef(targetModuleId)}))`;
+  };
 
-      // Skip label identifiers
-      if (parent.type === 'LabeledStatement' && parent.label === node) {
-        return;
-      }
-      if (parent.type === 'BreakStatement' && parent.label === node) {
-        return;
-      }
-      if (parent.type === 'ContinueStatement' && parent.label === node) {
-        return;
+  for (const dyn of moduleInfo.dynamicImports) {
+    if (dyn.resolvedPath) {
+      s.overwrite(dyn.node.start, dyn.node.end, lazyImportExpression(dyn));
+    } else if (dyn.contextMatches) {
+      // Context module: import(`./locales/${lang}.js`) →
+      // loadModule.loadContextModule({ request: [chunkId, moduleId] }, `./locales/${lang}.js`)
+      const entries = [];
+      for (const match of dyn.contextMatches) {
+        const target = [
+          match.chunkId === null ? null : ids.getChunkId(match.chunkId),
+          ids.getModuleId(match.targetModuleId),
+        ];
+        if (isCommonJSModule(match.targetModuleId)) target.push('commonjs');
+        else if (isAsyncModule(match.targetModuleId)) target.push('async');
+
+        // The request also works without its extension: "./locales/en"
+        const withoutExt = match.request.replace(/\.[^./]+$/, '');
+        const requests = withoutExt === match.request ? [match.request] : [match.request, withoutExt];
+        for (const request of requests) {
+          entries.push(`  ${JSON.stringify(request)}: ${JSON.stringify(target)}`);
+        }
       }
 
-      // Build the replacement
-      const varName = moduleVarNames.get(binding.modulePath);
-      if (!varName) return; // shouldn't happen
+      const contextMap = entries.length > 0 ? `{\n${entries.join(',\n')}\n}` : '{}';
+      s.overwrite(dyn.node.start, dyn.node.source.start, `loadModule.loadContextModule(${contextMap}, `);
+      s.overwrite(dyn.node.source.end, dyn.node.end, ')');
+    }
+  }
 
-      let replacement;
-      if (binding.importedName === '*') {
-        // Namespace import — just use the variable directly
-        replacement = varName;
-      } else if (binding.importedName === 'default') {
-        replacement = `${varName}["default"]`;
+  // --- Step 5b: Expand import.meta.glob() into an object literal ---
+  // Lazy:  ({ "./plugins/a.js": () => loadModule.loadChunk("...").then(...) })
+  // Eager: ({ "./plugins/a.js": _plugins_a_ })  (loaded with the static imports)
+  const eagerGlobIds = [];
+  for (const glob of moduleInfo.globImports) {
+    const entries = glob.matches.map(match => {
+      let value;
+      if (glob.eager) {
+        const targetModuleId = toModuleId(match.resolvedPath, projectRoot);
+        let varName = moduleVarNames.get(match.request);
+        if (!varName) {
+          varName = makeVarName(match.request);
+          moduleVarNames.set(match.request, varName);
+          loadModuleCalls.push(`var ${varName} = loadModule(${moduleRef(targetModuleId)});`);
+        }
+        if (isCommonJSModule(targetModuleId)) {
+          if (!namespaceVars.has(varName)) {
+            namespaceVars.add(varName);
+            loadModuleCalls.push(`var ${varName}namespace = loadModule.createNamespaceObject(${varName});`);
+          }
+          varName = `${varName}namespace`;
+        }
+        eagerGlobIds.push(targetModuleId);
+        value = glob.importName ? propertyAccess(varName, glob.importName) : varName;
       } else {
-        replacement = `${varName}.${binding.importedName}`;
+        const pick = glob.importName ? `.then((m) => ${propertyAccess('m', glob.importName)})` : '';
+        value = `() => ${lazyImportExpression(match)}${pick}`;
       }
+      return `  ${JSON.stringify(match.request)}: ${value}`;
+    });
 
-      // Check if this identifier is being called
-      const grandparent = ancestors[ancestors.length - 3];
-      const isCallTarget =
-        parent.type === 'CallExpression' && parent.callee === node;
-      const isTaggedTemplate =
-        parent.type === 'TaggedTemplateExpression' && parent.tag === node;
+    s.overwrite(glob.node.start, glob.node.end, entries.length > 0 ? `({\n${entries.join(',\n')}\n})` : '({})');
+  }
 
-      if (isCallTarget || isTaggedTemplate) {
-        // Use (0, fn)() pattern to ensure `this` is undefined
-        replacement = `(0, ${replacement})`;
-      }
+  // --- Step 6: Transform require() calls ---
+  for (const req of moduleInfo.requires) {
+    const moduleId = toModuleId(req.resolvedPath, projectRoot);
+    s.overwrite(req.node.start, req.node.end, `loadModule(${moduleRef(moduleId)})`);
+  }
 
-      replacements.push({ start: node.start, end: node.end, replacement });
-    },
-  });
+  // --- Step 6b: Point new URL('./x.png', import.meta.url) at the asset ---
+  // The asset module exports its URL (or data: URI), resolved against the
+  // page like chunk URLs are
+  for (const assetUrl of moduleInfo.assetUrls) {
+    const moduleId = toModuleId(assetUrl.resolvedPath, projectRoot);
+    s.overwrite(assetUrl.node.start, assetUrl.node.end, `new URL(loadModule(${moduleRef(moduleId)}), document.baseURI)`);
+  }
 
-  // Apply replacements in reverse order to preserve positions
-  replacements.sort((a, b) => b.start - a.start);
-  for (const { start, end, replacement } of replacements) {
-    s.overwrite(start, end, replacement);
+  // --- Step 7: Replace import.meta ---
+  // The bundle is a classic script, where import.meta is a syntax error.
+  // Every use is replaced with values computed at build time.
+  if (moduleInfo.importMeta.length > 0) {
+    const warnings = options.warnings || [];
+    const moduleUrl = (filePath) => {
+      const urlPath = toModuleId(filePath, projectRoot).replace(/^\.\//, '');
+      return `new URL(${JSON.stringify((options.publicPath || '') + urlPath)}, document.baseURI).href`;
+    };
+    const url = moduleUrl(moduleInfo.filePath);
+    const env = `(${JSON.stringify(options.importMetaEnv || {})})`;
+    const resolveFn = `((specifier) => new URL(specifier, ${url}).href)`;
+
+    for (const meta of moduleInfo.importMeta) {
+      if (meta.call && meta.call.resolvedPath) {
+        // import.meta.resolve('./x.js') → URL of the resolved file
+        s.overwrite(meta.call.node.start, meta.call.node.end, moduleUrl(meta.call.resolvedPath));
+        continue;
+      }
+
+      let replacement;
+      switch (meta.property) {
+        case null:
+          replacement = `({ url: ${url}, env: ${env}, resolve: ${resolveFn} })`;
+          break;
+        case 'url':
+          replacement = url;
+          break;
+        case 'env':
+          replacement = env;
+          break;
+        case 'resolve':
+          replacement = resolveFn;
+          break;
+        default:
+          warnings.push(
+            `${moduleInfo.filePath} (${meta.node.loc.start.line}:${meta.node.loc.start.column}): ` +
+            `unknown property import.meta.${meta.property} was replaced with undefined.`
+          );
+          replacement = 'undefined';
+      }
+      s.overwrite(meta.node.start, meta.node.end, replacement);
+    }
   }
 
-  // --- Step 5: Transform dynamic imports ---
-  for (const dyn of moduleInfo.dynamicImports) {
-    if (dyn.resolvedPath) {
-      const targetModuleId = toModuleId(dyn.resolvedPath, projectRoot);
-      const chunkId = toChunkId(targetModuleId);
+  // --- Step 8: Remove what only unused exports needed ---
+  for (const node of findDeadDeclarations(moduleInfo, unusedLocals, usedLocals, references)) {
+    // Along with the rest of its line, and the blank lines after it when
+    // there is one before it, so no extra blank lines are left behind
+    const before = moduleInfo.source.slice(0, node.start);
+    const after = moduleInfo.source.slice(node.end);
+    const lineEnd = /\n[ \t]*\n[ \t]*$/.test(before)
+      ? /^[ \t]*(\r?\n)?(?:[ \t]*\r?\n)*/.exec(after)[0].length
+      : /^[ \t]*(\r?\n)?/.exec(after)[0].length;
+    s.remove(node.start, node.end + lineEnd);
+  }
 
-      const replacement =
-        `loadChunk("${chunkId}").then(loadModule.bind(loadModule, "${targetModuleId}"))`;
+  // The generated code around the source is added as separate lines, so
+  // that the source map only has to be shifted down (and right)
+  s.trim();
+  const result = (code, lineOffset, columnOffset) => ({
+    code,
+    map: withMap ? getSourceMap(s, moduleInfo, projectRoot, lineOffset, columnOffset) : null,
+  });
 
-      s.overwrite(dyn.node.start, dyn.node.end, replacement);
-    }
+  // CommonJS modules populate module.exports themselves — no ES export setup
+  if (moduleInfo.moduleType === 'commonjs') {
+    return result(s.toString(), 0, 0);
   }
 
   // --- Build the final factory body ---
@@ -276,7 +502,7 @@ function transformModule(moduleInfo, projectRoot) {
 
     if (exportGetters.length > 0) {
       const getterEntries = exportGetters
-        .map(g => `    "${g.exported}": ${g.getter}`)
+        .map(g => `    ${JSON.stringify(g.exported)}: ${g.getter}`)
         .join(',\n');
       lines.push(`loadModule.defineExports(exports, {\n${getterEntries}\n});`);
     }
@@ -284,18 +510,371 @@ function transformModule(moduleInfo, projectRoot) {
     // Even if no exports, mark as ESModule (webpack always does this for ES modules)
     lines.push('loadModule.markAsESModule(exports);');
   }
+  if (unusedExports.length > 0) {
+    lines.push(unusedExports.map(name => `/* unused export ${name} */`).join('\n'));
+  }
 
   // Add loadModule() calls
   if (loadModuleCalls.length > 0) {
     lines.push(loadModuleCalls.join('\n'));
   }
 
+  // Wait for async dependencies (in import order) before running the body
+  const asyncDepIds = [...new Set(
+    [...moduleInfo.imports, ...moduleInfo.reexports]
+      .sort((a, b) => a.node.start - b.node.start)
+      .map(dep => toModuleId(dep.resolvedPath, projectRoot))
+      .concat(eagerGlobIds)
+      .filter(isAsyncModule)
+  )];
+  if (asyncDepIds.length > 0) {
+    lines.push(`await loadModule.waitForAsyncModules(${JSON.stringify(asyncDepIds.map(ids.getModuleId))});`);
+  }
+
+  // Add star re-exports
+  if (starExportCalls.length > 0) {
+    lines.push(starExportCalls.join('\n'));
+  }
+
   // Add the transformed source
-  lines.push(s.toString().trim());
+  const sourceLine = lines.join('\n\n').split('\n').length + 1;
+  lines.push(s.toString());
+
+  if (moduleInfo.isAsync) {
+    // Async module (webpack: __webpack_require__.a) — the body runs inside an
+    // async function so it can await; exports are still defined synchronously
+    const body = lines
+      .join('\n\n')
+      .split('\n')
+      .map(line => (line.trim() ? '  ' + line : ''))
+      .join('\n');
+    return result(`loadModule.asyncModule(module, async () => {\n${body}\n});`, sourceLine + 1, 2);
+  }
+
+  return result(lines.join('\n\n'), sourceLine, 0);
+}
+
+/**
+ * The source map of a factory body whose transformed source (`s`) starts
+ * `lineOffset` lines down and is indented by `columnOffset` characters.
+ */
+function getSourceMap(s, moduleInfo, projectRoot, lineOffset, columnOffset) {
+  const moduleId = toModuleId(moduleInfo.filePath, projectRoot);
+  // 'boundary' gives a segment per word rather than per character
+  const { mappings } = s.generateDecodedMap({ hires: 'boundary' });
+  let map = {
+    sources: [toSourceUrl(moduleId)],
+    sourcesContent: [moduleInfo.source],
+    names: [],
+    mappings,
+  };
+  if (moduleInfo.inputSourceMap) {
+    map = composeMaps(map, moduleInfo.inputSourceMap, moduleInfo.filePath, projectRoot);
+  }
+  return offsetSourceMap(map, lineOffset, columnOffset);
+}
+
+/**
+ * The top-level statements that can be left out: side-effect free
+ * declarations of names that only unused exports read (`unusedLocals`), and
+ * then of names that only those declarations read. A name a getter still
+ * reads (`usedLocals`) keeps its declaration. Nothing goes when the module
+ * calls eval(), which could read any name.
+ */
+function findDeadDeclarations(moduleInfo, unusedLocals, usedLocals, references) {
+  if (unusedLocals.size === 0) return [];
+
+  const reads = new Map(); // module-level name → positions it is read at
+  for (const { node, scope } of references) {
+    if (node.name === 'eval' && scope === null) return [];
+    if (scope !== moduleInfo.ast) continue;
+    if (!reads.has(node.name)) reads.set(node.name, []);
+    reads.get(node.name).push(node.start);
+  }
+
+  const declarations = moduleInfo.ast.body.map(getTopLevelDeclaration).filter(Boolean);
+  const context = {
+    scopeOf: new Map(references.map(({ node, scope }) => [node, scope])),
+    moduleScope: moduleInfo.ast,
+    bindings: getTopLevelBindings(declarations),
+  };
+  const removed = [];
+  const within = (position, node) => position >= node.start && position < node.end;
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const { node, declaration, names } of declarations) {
+      if (removed.includes(node) || names.some(name => usedLocals.has(name))) continue;
+
+      const outsideReads = names.flatMap(name => reads.get(name) || []).filter(position => !within(position, node));
+      if (outsideReads.some(position => !removed.some(other => within(position, other)))) continue;
+
+      // Only declarations that became dead — not ones that were never read
+      const becameDead = names.some(name => unusedLocals.has(name)) || outsideReads.length > 0;
+      if (becameDead && isSideEffectFree(declaration, context)) {
+        removed.push(node);
+        changed = true;
+      }
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * The declaration a top-level statement makes and the names it declares
+ * (export default <expression> declares __default_export__), or null.
+ */
+function getTopLevelDeclaration(statement) {
+  if (statement.type === 'ExportDefaultDeclaration') {
+    const declaration = statement.declaration;
+    const name = declaration.id ? declaration.id.name : '__default_export__';
+    return { node: statement, declaration, names: [name] };
+  }
+
+  const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+  if (!declaration) return null;
+  if (declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration') {
+    return { node: statement, declaration, names: [declaration.id.name] };
+  }
+  if (declaration.type === 'VariableDeclaration' && declaration.declarations.every(d => d.id.type === 'Identifier')) {
+    return { node: statement, declaration, names: declaration.declarations.map(d => d.id.name) };
+  }
+  return null;
+}
+
+/**
+ * Module-level name → { kind, end, init?, declaration? }: how and where
+ * each name of `declarations` (from getTopLevelDeclaration) is declared.
+ * `end` is where the binding is initialized.
+ */
+function getTopLevelBindings(declarations) {
+  const bindings = new Map();
+  for (const { declaration } of declarations) {
+    if (declaration.type === 'VariableDeclaration') {
+      for (const declarator of declaration.declarations) {
+        bindings.set(declarator.id.name, { kind: declaration.kind, end: declarator.end, init: declarator.init });
+      }
+    } else if ((declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration') && declaration.id) {
+      const kind = declaration.type === 'FunctionDeclaration' ? 'function' : 'class';
+      bindings.set(declaration.id.name, { kind, end: declaration.end, declaration });
+    }
+  }
+  return bindings;
+}
+
+/**
+ * Whether evaluating a declaration or expression can't have any effect
+ * besides creating its value: functions, literals, reads of module-level
+ * bindings that are already initialized (no ReferenceError, no TDZ), and
+ * classes, objects and arrays made of those. Calls, property reads
+ * (getters), `new` and assignments all could, and so can anything that
+ * converts an object to a primitive (`${obj}`, a + b, +a) — that calls its
+ * toString() or valueOf().
+ *
+ * context: { scopeOf: Map<Identifier, scope node | null>, moduleScope,
+ * bindings } (see findDeadDeclarations).
+ */
+function isSideEffectFree(node, context) {
+  if (!node) return true;
+  const pure = (child) => isSideEffectFree(child, context);
+  const primitive = (child) => isPrimitive(child, context);
+  switch (node.type) {
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+    case 'Literal':
+      return true;
+    case 'Identifier':
+      return isInitializedRead(node, context) || isGlobalConstant(node, context);
+    case 'VariableDeclaration':
+      return node.declarations.every(declarator => pure(declarator.init));
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+      // Static blocks and static fields run when the class is defined
+      return isPureSuperClass(node.superClass, context) && node.body.body.every(member =>
+        member.type !== 'StaticBlock' &&
+        (!member.computed || primitive(member.key)) &&
+        (!member.static || member.type !== 'PropertyDefinition' || pure(member.value))
+      );
+    case 'TemplateLiteral':
+      return node.expressions.every(primitive);
+    case 'ArrayExpression':
+      return node.elements.every(element => element === null || pure(element));
+    case 'ObjectExpression':
+      return node.properties.every(prop =>
+        prop.type === 'Property' && (!prop.computed || primitive(prop.key)) && pure(prop.value)
+      );
+    case 'UnaryExpression':
+      if (node.operator === 'delete') return false;
+      // !, typeof and void don't convert their operand; +, - and ~ do
+      return ['!', 'typeof', 'void'].includes(node.operator) ? pure(node.argument) : primitive(node.argument);
+    case 'BinaryExpression':
+      if (node.operator === 'in' || node.operator === 'instanceof') return false;
+      if (node.operator === '===' || node.operator === '!==') return pure(node.left) && pure(node.right);
+      return primitive(node.left) && primitive(node.right);
+    case 'LogicalExpression':
+      return pure(node.left) && pure(node.right);
+    case 'ConditionalExpression':
+      return pure(node.test) && pure(node.consequent) && pure(node.alternate);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Whether an expression is side-effect free and its value is a primitive,
+ * so converting it to a string or number can't call back into user code.
+ */
+function isPrimitive(node, context) {
+  switch (node.type) {
+    case 'Literal':
+      return !node.regex;
+    case 'Identifier': {
+      if (isGlobalConstant(node, context)) return true;
+      const binding = context.bindings.get(node.name);
+      return isInitializedRead(node, context) && binding.kind === 'const' && Boolean(binding.init) &&
+        isPrimitive(binding.init, context);
+    }
+    case 'TemplateLiteral':
+    case 'UnaryExpression':
+    case 'BinaryExpression':
+      // Pure ones can only have converted primitives; their result is one too
+      return isSideEffectFree(node, context);
+    case 'LogicalExpression':
+      return isPrimitive(node.left, context) && isPrimitive(node.right, context);
+    case 'ConditionalExpression':
+      return isSideEffectFree(node.test, context) &&
+        isPrimitive(node.consequent, context) && isPrimitive(node.alternate, context);
+    default:
+      return false;
+  }
+}
+
+// A read of a module-level binding that exists by then: functions and vars
+// from the start, let, const and classes once their declaration has run
+function isInitializedRead(node, context) {
+  if (context.scopeOf.get(node) !== context.moduleScope) return false;
+  const binding = context.bindings.get(node.name);
+  if (!binding) return false;
+  return binding.kind === 'function' || binding.kind === 'var' || binding.end <= node.start;
+}
+
+function isGlobalConstant(node, context) {
+  return context.scopeOf.get(node) === null && ['undefined', 'NaN', 'Infinity'].includes(node.name);
+}
+
+// `extends` throws for anything but a constructor, and reads its .prototype
+function isPureSuperClass(node, context) {
+  if (!node) return true;
+  if (node.type === 'Literal') return node.value === null;
+  if (node.type !== 'Identifier' || !isInitializedRead(node, context)) return false;
+  const { declaration } = context.bindings.get(node.name);
+  return Boolean(declaration) && (
+    declaration.type === 'ClassDeclaration' ||
+    (declaration.type === 'FunctionDeclaration' && !declaration.async && !declaration.generator)
+  );
+}
+
+/**
+ * Generate the factory body for an asset module. Like webpack, it sets
+ * module.exports to a string: the emitted file's URL (asset/resource), a
+ * data: URI (asset/inline) or the file's text (asset/source).
+ */
+function transformAssetModule(moduleInfo, options) {
+  if (moduleInfo.assetType === 'asset/source') {
+    return `module.exports = ${JSON.stringify(moduleInfo.content.toString('utf-8'))};`;
+  }
+  return `module.exports = ${JSON.stringify(getAssetUrl(moduleInfo, options))};`;
+}
+
+/**
+ * The URL an asset is referenced by: its emitted file for asset/resource,
+ * a data: URI otherwise.
+ */
+function getAssetUrl(moduleInfo, options) {
+  if (moduleInfo.assetType === 'asset/resource') {
+    return (options.publicPath || '') + moduleInfo.assetFilename;
+  }
+  return `data:${moduleInfo.mimeType};base64,${moduleInfo.content.toString('base64')}`;
+}
+
+/**
+ * Generate the stylesheet text of a CSS module for its chunk's .css file:
+ * @import rules are dropped (the imported module is placed before this one
+ * in the file) and url() references point at the emitted assets.
+ */
+function transformCssModule(moduleInfo, projectRoot, modules, options = {}) {
+  const s = new MagicString(moduleInfo.source);
+
+  for (const dep of moduleInfo.cssDependencies) {
+    if (dep.kind === 'import') {
+      s.remove(dep.start, dep.end);
+    } else {
+      const asset = modules.get(toModuleId(dep.resolvedPath, projectRoot));
+      s.overwrite(dep.start, dep.end, `url(${JSON.stringify(getAssetUrl(asset, options))})`);
+    }
+  }
+
+  return s.toString().trim();
+}
+
+/**
+ * Generate the factory body for a JSON module: the parsed value is the
+ * default export, and each top-level key gets its own named export (except
+ * a "default" key, which would replace the default export).
+ * Keys no importer asks for (moduleInfo.usedExports) are left out; a used
+ * default export needs the whole object.
+ */
+function transformJsonModule(moduleInfo) {
+  const { jsonData, usedExports } = moduleInfo;
+  const usedJsonKeys = usedExports && !usedExports.has('default') ? usedExports : null;
+  // The named exports: every top-level key except "default"
+  const keys = moduleInfo.exports.named.map(exp => exp.exported);
+  const keptKeys = usedJsonKeys ? keys.filter(key => usedJsonKeys.has(key)) : keys;
+  const droppedKeys = keys.length > 0 && usedJsonKeys
+    ? Object.keys(jsonData).filter(key => !keptKeys.includes(key))
+    : [];
+
+  let data = jsonData;
+  if (droppedKeys.length > 0) {
+    data = {};
+    for (const key of keptKeys) data[key] = jsonData[key];
+  }
+
+  const getters = [];
+  if (!usedJsonKeys) {
+    getters.push('    "default": () => __json_data__');
+  }
+  for (const key of keptKeys) {
+    getters.push(`    ${JSON.stringify(key)}: () => __json_data__[${JSON.stringify(key)}]`);
+  }
+
+  const lines = ['loadModule.markAsESModule(exports);'];
+  if (getters.length > 0) {
+    lines.push(`loadModule.defineExports(exports, {\n${getters.join(',\n')}\n});`);
+  }
+  if (droppedKeys.length > 0) {
+    lines.push(`// unused JSON keys dropped: ${droppedKeys.map(key => JSON.stringify(key)).join(', ')}`);
+  }
+  lines.push(`var __json_data__ = ${JSON.stringify(data, null, 2)};`);
 
   return lines.join('\n\n');
 }
 
+/**
+ * Build a property access, using bracket notation for names that aren't
+ * valid identifiers.
+ * ("_math_", "add") → "_math_.add", ("_math_", "default") → '_math_["default"]'
+ */
+function propertyAccess(objectName, propertyName) {
+  if (propertyName !== 'default' && /^[A-Za-z_$][\w$]*$/.test(propertyName)) {
+    return `${objectName}.${propertyName}`;
+  }
+  return `${objectName}[${JSON.stringify(propertyName)}]`;
+}
+
 /**
  * Create a readable variable name from a module path.
  * "./utils/math.js" → "_utils_math_"
@@ -312,4 +891,4 @@ function makeVarName(modulePath) {
   );
 }
 
-module.exports = { transformModule, makeVarName };
+module.exports = { transformModule, transformModuleWithMap, transformCssModule, makeVarName };